@@ -0,0 +1,83 @@
+// Canonical Bible Books - Shared book table keyed by the abbrevs used in the translation files
+//
+// Order is the Protestant canon order used by es_rvr.json. Names and aliases cover
+// English, Spanish, Portuguese, French, Malagasy and Russian so references typed in
+// any of these languages resolve to the same book. usfm/osis are the standard book
+// IDs and chapterCount the usual English versification, for import-bible.js.
+
+const BIBLE_BOOKS = [
+    // Old Testament
+    { abbrev: 'gn', testament: 'ot', usfm: 'GEN', osis: 'Gen', chapterCount: 50, names: ['Genesis', 'Génesis', 'Gênesis', 'Genèse', 'Genesisy', 'Бытие'], aliases: ['gen', 'ge', 'gn', 'gns', 'быт'] },
+    { abbrev: 'ex', testament: 'ot', usfm: 'EXO', osis: 'Exod', chapterCount: 40, names: ['Exodus', 'Éxodo', 'Êxodo', 'Exode', 'Eksodosy', 'Исход'], aliases: ['ex', 'exo', 'exod', 'ekso', 'исх'] },
+    { abbrev: 'lv', testament: 'ot', usfm: 'LEV', osis: 'Lev', chapterCount: 27, names: ['Leviticus', 'Levítico', 'Lévitique', 'Levitikosy', 'Левит'], aliases: ['lv', 'lev', 'le', 'lvt', 'лев'] },
+    { abbrev: 'nm', testament: 'ot', usfm: 'NUM', osis: 'Num', chapterCount: 36, names: ['Numbers', 'Números', 'Nombres', 'Nomery', 'Числа'], aliases: ['nm', 'num', 'nu', 'nb', 'nom', 'чис'] },
+    { abbrev: 'dt', testament: 'ot', usfm: 'DEU', osis: 'Deut', chapterCount: 34, names: ['Deuteronomy', 'Deuteronomio', 'Deuteronômio', 'Deutéronome', 'Deoteronomia', 'Второзаконие'], aliases: ['dt', 'deut', 'deu', 'de', 'deo', 'втор'] },
+    { abbrev: 'js', testament: 'ot', usfm: 'JOS', osis: 'Josh', chapterCount: 24, names: ['Joshua', 'Josué', 'Josoa', 'Иисус Навин'], aliases: ['js', 'josh', 'jos', 'jsh', 'нав'] },
+    { abbrev: 'jud', testament: 'ot', usfm: 'JDG', osis: 'Judg', chapterCount: 21, names: ['Judges', 'Jueces', 'Juízes', 'Juges', 'Mpitsara', 'Судьи'], aliases: ['jdg', 'judg', 'jue', 'jz', 'jg', 'mpits', 'суд'] },
+    { abbrev: 'rt', testament: 'ot', usfm: 'RUT', osis: 'Ruth', chapterCount: 4, names: ['Ruth', 'Rut', 'Rute', 'Rota', 'Руфь'], aliases: ['rt', 'ru', 'rth', 'руф'] },
+    { abbrev: '1sm', testament: 'ot', usfm: '1SA', osis: '1Sam', chapterCount: 31, names: ['1 Samuel', '1 Samoela', '1 Царств'], aliases: ['1sm', '1sam', '1sa', '1s', '1цар'] },
+    { abbrev: '2sm', testament: 'ot', usfm: '2SA', osis: '2Sam', chapterCount: 24, names: ['2 Samuel', '2 Samoela', '2 Царств'], aliases: ['2sm', '2sam', '2sa', '2s', '2цар'] },
+    { abbrev: '1kgs', testament: 'ot', usfm: '1KI', osis: '1Kgs', chapterCount: 22, names: ['1 Kings', '1 Reyes', '1 Reis', '1 Rois', '1 Mpanjaka', '3 Царств'], aliases: ['1kgs', '1ki', '1kg', '1k', '1re', '1rs', '1r', '1mpanj', '3цар'] },
+    { abbrev: '2kgs', testament: 'ot', usfm: '2KI', osis: '2Kgs', chapterCount: 25, names: ['2 Kings', '2 Reyes', '2 Reis', '2 Rois', '2 Mpanjaka', '4 Царств'], aliases: ['2kgs', '2ki', '2kg', '2k', '2re', '2rs', '2r', '2mpanj', '4цар'] },
+    { abbrev: '1ch', testament: 'ot', usfm: '1CH', osis: '1Chr', chapterCount: 29, names: ['1 Chronicles', '1 Crónicas', '1 Crônicas', '1 Chroniques', '1 Tantara', '1 Паралипоменон'], aliases: ['1ch', '1chr', '1chron', '1cr', '1cro', '1cron', '1tant', '1пар'] },
+    { abbrev: '2ch', testament: 'ot', usfm: '2CH', osis: '2Chr', chapterCount: 36, names: ['2 Chronicles', '2 Crónicas', '2 Crônicas', '2 Chroniques', '2 Tantara', '2 Паралипоменон'], aliases: ['2ch', '2chr', '2chron', '2cr', '2cro', '2cron', '2tant', '2пар'] },
+    { abbrev: 'ezr', testament: 'ot', usfm: 'EZR', osis: 'Ezra', chapterCount: 10, names: ['Ezra', 'Esdras', 'Ездра'], aliases: ['ezr', 'esd', 'ezra', 'езд'] },
+    { abbrev: 'ne', testament: 'ot', usfm: 'NEH', osis: 'Neh', chapterCount: 13, names: ['Nehemiah', 'Nehemías', 'Neemias', 'Néhémie', 'Nehemia', 'Неемия'], aliases: ['ne', 'neh', 'nee', 'неем'] },
+    { abbrev: 'et', testament: 'ot', usfm: 'EST', osis: 'Esth', chapterCount: 10, names: ['Esther', 'Ester', 'Estera', 'Есфирь'], aliases: ['et', 'est', 'esth', 'есф'] },
+    { abbrev: 'job', testament: 'ot', usfm: 'JOB', osis: 'Job', chapterCount: 42, names: ['Job', 'Joba', 'Иов'], aliases: ['job', 'jb', 'иов'] },
+    { abbrev: 'ps', testament: 'ot', usfm: 'PSA', osis: 'Ps', chapterCount: 150, names: ['Psalms', 'Psalm', 'Salmos', 'Salmo', 'Psaumes', 'Salamo', 'Псалтирь'], aliases: ['ps', 'psa', 'psalm', 'pss', 'sal', 'sl', 'пс'] },
+    { abbrev: 'prv', testament: 'ot', usfm: 'PRO', osis: 'Prov', chapterCount: 31, names: ['Proverbs', 'Proverbios', 'Provérbios', 'Proverbes', 'Ohabolana', 'Притчи'], aliases: ['prv', 'prov', 'pro', 'pr', 'pv', 'ohab', 'притч'] },
+    { abbrev: 'ec', testament: 'ot', usfm: 'ECC', osis: 'Eccl', chapterCount: 12, names: ['Ecclesiastes', 'Eclesiastés', 'Eclesiastes', 'Ecclésiaste', 'Mpitoriteny', 'Екклесиаст'], aliases: ['ec', 'ecc', 'eccl', 'ecl', 'qoh', 'mpit', 'еккл'] },
+    { abbrev: 'so', testament: 'ot', usfm: 'SNG', osis: 'Song', chapterCount: 8, names: ['Song of Solomon', 'Song of Songs', 'Cantares', 'Cantar de los Cantares', 'Cânticos', 'Cantique des Cantiques', "Tonon-kiran'i Solomona", 'Песнь песней'], aliases: ['so', 'sng', 'song', 'sos', 'cnt', 'cant', 'ct', 'ca', 'tonon', 'песн'] },
+    { abbrev: 'is', testament: 'ot', usfm: 'ISA', osis: 'Isa', chapterCount: 66, names: ['Isaiah', 'Isaías', 'Ésaïe', 'Isaie', 'Isaia', 'Исаия'], aliases: ['is', 'isa', 'ис'] },
+    { abbrev: 'jr', testament: 'ot', usfm: 'JER', osis: 'Jer', chapterCount: 52, names: ['Jeremiah', 'Jeremías', 'Jeremias', 'Jérémie', 'Jeremia', 'Иеремия'], aliases: ['jr', 'jer', 'je', 'иер'] },
+    { abbrev: 'lm', testament: 'ot', usfm: 'LAM', osis: 'Lam', chapterCount: 5, names: ['Lamentations', 'Lamentaciones', 'Lamentações', 'Fitomaniana', 'Плач Иеремии'], aliases: ['lm', 'lam', 'la', 'fitom', 'плач'] },
+    { abbrev: 'ez', testament: 'ot', usfm: 'EZK', osis: 'Ezek', chapterCount: 48, names: ['Ezekiel', 'Ezequiel', 'Ézéchiel', 'Ezekiela', 'Иезекииль'], aliases: ['ez', 'ezk', 'ezek', 'eze', 'иез'] },
+    { abbrev: 'dn', testament: 'ot', usfm: 'DAN', osis: 'Dan', chapterCount: 12, names: ['Daniel', 'Daniela', 'Даниил'], aliases: ['dn', 'dan', 'da', 'дан'] },
+    { abbrev: 'ho', testament: 'ot', usfm: 'HOS', osis: 'Hos', chapterCount: 14, names: ['Hosea', 'Oseas', 'Oséias', 'Osée', 'Осия'], aliases: ['ho', 'hos', 'os', 'ос'] },
+    { abbrev: 'jl', testament: 'ot', usfm: 'JOL', osis: 'Joel', chapterCount: 3, names: ['Joel', 'Joël', 'Joela', 'Иоиль'], aliases: ['jl', 'joe', 'jol', 'иоил'] },
+    { abbrev: 'am', testament: 'ot', usfm: 'AMO', osis: 'Amos', chapterCount: 9, names: ['Amos', 'Amós', 'Amosa', 'Амос'], aliases: ['am', 'amo', 'ам'] },
+    { abbrev: 'ob', testament: 'ot', usfm: 'OBA', osis: 'Obad', chapterCount: 1, names: ['Obadiah', 'Abdías', 'Obadias', 'Abdias', 'Obadia', 'Авдий'], aliases: ['ob', 'oba', 'obad', 'abd', 'ab', 'авд'] },
+    { abbrev: 'jn', testament: 'ot', usfm: 'JON', osis: 'Jonah', chapterCount: 4, names: ['Jonah', 'Jonás', 'Jonas', 'Jona', 'Иона'], aliases: ['jon', 'jnh', 'ион'] },
+    { abbrev: 'mi', testament: 'ot', usfm: 'MIC', osis: 'Mic', chapterCount: 7, names: ['Micah', 'Miqueas', 'Miquéias', 'Michée', 'Mika', 'Михей'], aliases: ['mi', 'mic', 'miq', 'mih', 'мих'] },
+    { abbrev: 'na', testament: 'ot', usfm: 'NAM', osis: 'Nah', chapterCount: 3, names: ['Nahum', 'Nahúm', 'Naum', 'Nahoma', 'Наум'], aliases: ['na', 'nah', 'nam', 'наум'] },
+    { abbrev: 'hk', testament: 'ot', usfm: 'HAB', osis: 'Hab', chapterCount: 3, names: ['Habakkuk', 'Habacuc', 'Habacuque', 'Habaquq', 'Habakoka', 'Аввакум'], aliases: ['hk', 'hab', 'авв'] },
+    { abbrev: 'zp', testament: 'ot', usfm: 'ZEP', osis: 'Zeph', chapterCount: 3, names: ['Zephaniah', 'Sofonías', 'Sofonias', 'Sophonie', 'Zefania', 'Софония'], aliases: ['zp', 'zep', 'zeph', 'sof', 'соф'] },
+    { abbrev: 'hg', testament: 'ot', usfm: 'HAG', osis: 'Hag', chapterCount: 2, names: ['Haggai', 'Hageo', 'Ageu', 'Aggée', 'Hagay', 'Аггей'], aliases: ['hg', 'hag', 'ag', 'агг'] },
+    { abbrev: 'zc', testament: 'ot', usfm: 'ZEC', osis: 'Zech', chapterCount: 14, names: ['Zechariah', 'Zacarías', 'Zacarias', 'Zacharie', 'Zakaria', 'Захария'], aliases: ['zc', 'zec', 'zech', 'zac', 'za', 'зах'] },
+    { abbrev: 'ml', testament: 'ot', usfm: 'MAL', osis: 'Mal', chapterCount: 4, names: ['Malachi', 'Malaquías', 'Malaquias', 'Malachie', 'Malakia', 'Малахия'], aliases: ['ml', 'mal', 'мал'] },
+
+    // New Testament
+    { abbrev: 'mt', testament: 'nt', usfm: 'MAT', osis: 'Matt', chapterCount: 28, names: ['Matthew', 'Mateo', 'Mateus', 'Matthieu', 'Matio', 'Матфея'], aliases: ['mt', 'mat', 'matt', 'mth', 'мф'] },
+    { abbrev: 'mk', testament: 'nt', usfm: 'MRK', osis: 'Mark', chapterCount: 16, names: ['Mark', 'Marcos', 'Marc', 'Marka', 'Марка'], aliases: ['mk', 'mar', 'mrk', 'mc', 'mr', 'мк'] },
+    { abbrev: 'lk', testament: 'nt', usfm: 'LUK', osis: 'Luke', chapterCount: 24, names: ['Luke', 'Lucas', 'Luc', 'Lioka', 'Луки'], aliases: ['lk', 'luk', 'lc', 'lu', 'лк'] },
+    { abbrev: 'jo', testament: 'nt', usfm: 'JHN', osis: 'John', chapterCount: 21, names: ['John', 'Juan', 'João', 'Jean', 'Jaona', 'Иоанна'], aliases: ['jn', 'jhn', 'joh', 'jo', 'jua', 'ин'] },
+    { abbrev: 'act', testament: 'nt', usfm: 'ACT', osis: 'Acts', chapterCount: 28, names: ['Acts', 'Hechos', 'Atos', 'Actes', "Asan'ny Apostoly", 'Деяния'], aliases: ['act', 'ac', 'hch', 'hech', 'at', 'asa', 'деян'] },
+    { abbrev: 'rm', testament: 'nt', usfm: 'ROM', osis: 'Rom', chapterCount: 16, names: ['Romans', 'Romanos', 'Romains', 'Romana', 'Римлянам'], aliases: ['rm', 'rom', 'ro', 'рим'] },
+    { abbrev: '1co', testament: 'nt', usfm: '1CO', osis: '1Cor', chapterCount: 16, names: ['1 Corinthians', '1 Corintios', '1 Coríntios', '1 Corinthiens', '1 Korintiana', '1 Коринфянам'], aliases: ['1co', '1cor', '1kor', '1кор'] },
+    { abbrev: '2co', testament: 'nt', usfm: '2CO', osis: '2Cor', chapterCount: 13, names: ['2 Corinthians', '2 Corintios', '2 Coríntios', '2 Corinthiens', '2 Korintiana', '2 Коринфянам'], aliases: ['2co', '2cor', '2kor', '2кор'] },
+    { abbrev: 'gl', testament: 'nt', usfm: 'GAL', osis: 'Gal', chapterCount: 6, names: ['Galatians', 'Gálatas', 'Galates', 'Galatiana', 'Галатам'], aliases: ['gl', 'gal', 'ga', 'гал'] },
+    { abbrev: 'eph', testament: 'nt', usfm: 'EPH', osis: 'Eph', chapterCount: 6, names: ['Ephesians', 'Efesios', 'Efésios', 'Éphésiens', 'Efesiana', 'Ефесянам'], aliases: ['eph', 'ephes', 'ef', 'efe', 'еф'] },
+    { abbrev: 'ph', testament: 'nt', usfm: 'PHP', osis: 'Phil', chapterCount: 4, names: ['Philippians', 'Filipenses', 'Philippiens', 'Filipiana', 'Филиппийцам'], aliases: ['ph', 'php', 'phil', 'flp', 'fil', 'fp', 'флп'] },
+    { abbrev: 'cl', testament: 'nt', usfm: 'COL', osis: 'Col', chapterCount: 4, names: ['Colossians', 'Colosenses', 'Colossenses', 'Colossiens', 'Kolosiana', 'Колоссянам'], aliases: ['cl', 'col', 'kol', 'кол'] },
+    { abbrev: '1ts', testament: 'nt', usfm: '1TH', osis: '1Thess', chapterCount: 5, names: ['1 Thessalonians', '1 Tesalonicenses', '1 Tessalonicenses', '1 Thessaloniciens', '1 Tesaloniana', '1 Фессалоникийцам'], aliases: ['1ts', '1th', '1thes', '1thess', '1tes', '1фес'] },
+    { abbrev: '2ts', testament: 'nt', usfm: '2TH', osis: '2Thess', chapterCount: 3, names: ['2 Thessalonians', '2 Tesalonicenses', '2 Tessalonicenses', '2 Thessaloniciens', '2 Tesaloniana', '2 Фессалоникийцам'], aliases: ['2ts', '2th', '2thes', '2thess', '2tes', '2фес'] },
+    { abbrev: '1tm', testament: 'nt', usfm: '1TI', osis: '1Tim', chapterCount: 6, names: ['1 Timothy', '1 Timoteo', '1 Timóteo', '1 Timothée', '1 Timoty', '1 Тимофею'], aliases: ['1tm', '1ti', '1tim', '1тим'] },
+    { abbrev: '2tm', testament: 'nt', usfm: '2TI', osis: '2Tim', chapterCount: 4, names: ['2 Timothy', '2 Timoteo', '2 Timóteo', '2 Timothée', '2 Timoty', '2 Тимофею'], aliases: ['2tm', '2ti', '2tim', '2тим'] },
+    { abbrev: 'tt', testament: 'nt', usfm: 'TIT', osis: 'Titus', chapterCount: 3, names: ['Titus', 'Tito', 'Tite', 'Titosy', 'Титу'], aliases: ['tt', 'tit', 'ti', 'тит'] },
+    { abbrev: 'phm', testament: 'nt', usfm: 'PHM', osis: 'Phlm', chapterCount: 1, names: ['Philemon', 'Filemón', 'Filemom', 'Philémon', 'Filemona', 'Филимону'], aliases: ['phm', 'philem', 'flm', 'fm', 'флм'] },
+    { abbrev: 'hb', testament: 'nt', usfm: 'HEB', osis: 'Heb', chapterCount: 13, names: ['Hebrews', 'Hebreos', 'Hebreus', 'Hébreux', 'Hebreo', 'Евреям'], aliases: ['hb', 'heb', 'he', 'hbr', 'евр'] },
+    { abbrev: 'jm', testament: 'nt', usfm: 'JAS', osis: 'Jas', chapterCount: 5, names: ['James', 'Santiago', 'Tiago', 'Jacques', 'Jakoba', 'Иакова'], aliases: ['jm', 'jas', 'jam', 'stg', 'sant', 'tg', 'jc', 'иак'] },
+    { abbrev: '1pe', testament: 'nt', usfm: '1PE', osis: '1Pet', chapterCount: 5, names: ['1 Peter', '1 Pedro', '1 Pierre', '1 Petera', '1 Петра'], aliases: ['1pe', '1pet', '1pt', '1p', '1ped', '1пет'] },
+    { abbrev: '2pe', testament: 'nt', usfm: '2PE', osis: '2Pet', chapterCount: 3, names: ['2 Peter', '2 Pedro', '2 Pierre', '2 Petera', '2 Петра'], aliases: ['2pe', '2pet', '2pt', '2p', '2ped', '2пет'] },
+    { abbrev: '1jo', testament: 'nt', usfm: '1JN', osis: '1John', chapterCount: 5, names: ['1 John', '1 Juan', '1 João', '1 Jean', '1 Jaona', '1 Иоанна'], aliases: ['1jo', '1jn', '1jhn', '1joh', '1jua', '1ин'] },
+    { abbrev: '2jo', testament: 'nt', usfm: '2JN', osis: '2John', chapterCount: 1, names: ['2 John', '2 Juan', '2 João', '2 Jean', '2 Jaona', '2 Иоанна'], aliases: ['2jo', '2jn', '2jhn', '2joh', '2jua', '2ин'] },
+    { abbrev: '3jo', testament: 'nt', usfm: '3JN', osis: '3John', chapterCount: 1, names: ['3 John', '3 Juan', '3 João', '3 Jean', '3 Jaona', '3 Иоанна'], aliases: ['3jo', '3jn', '3jhn', '3joh', '3jua', '3ин'] },
+    { abbrev: 'jd', testament: 'nt', usfm: 'JUD', osis: 'Jude', chapterCount: 1, names: ['Jude', 'Judas', 'Joda', 'Иуды'], aliases: ['jd', 'jud', 'jude', 'jds', 'иуд'] },
+    { abbrev: 're', testament: 'nt', usfm: 'REV', osis: 'Rev', chapterCount: 22, names: ['Revelation', 'Apocalipsis', 'Apocalipse', 'Apocalypse', 'Apokalypsy', 'Откровение'], aliases: ['re', 'rev', 'rv', 'ap', 'apoc', 'apok', 'откр'] }
+];
+
+// Also loaded by the Node import tool
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { BIBLE_BOOKS };
+}
@@ -0,0 +1,169 @@
+// Cache Lock Rescue - Frees a client whose service worker is stuck on an older version
+//
+// server.js prepends this to main.js with its settings, so it runs even when the
+// rest of the page came from an old cache. A rescue unregisters the old worker,
+// waits for the current one to take over and reloads. Attempts are counted per tab
+// in sessionStorage with a growing delay, so a worker that can never install (a
+// missing critical file) ends in a message instead of a reload loop.
+
+class CacheRescue {
+    constructor(config = {}) {
+        this.enabled = config.enabled !== false;
+        this.appPrefix = config.appPrefix || 'baiboly';
+        this.version = config.version || '';
+        this.maxAttempts = config.maxAttempts || 3;
+        this.retryDelay = config.retryDelay || 2000;
+        this.activationTimeout = config.activationTimeout || 30000;
+        this.attemptsExpire = 10 * 60 * 1000; // a tab left open this long gets a fresh budget
+        this.storageKey = `${this.appPrefix}-cache-rescue`;
+    }
+
+    async run() {
+        if (!('serviceWorker' in navigator) || !('caches' in window)) return;
+
+        if (!(await this.isStuck())) {
+            this.clearAttempts();
+            this.register();
+            return;
+        }
+
+        if (!this.enabled) {
+            console.log(`Cache lock detected - rescue to ${this.version} is disabled`);
+            this.register();
+            return;
+        }
+
+        const { attempts } = this.getAttempts();
+        if (attempts >= this.maxAttempts) {
+            console.warn(`Cache lock rescue gave up after ${attempts} attempts`);
+            this.register();
+            this.showFallback();
+            return;
+        }
+
+        await this.rescue(attempts);
+    }
+
+    // Stuck: this app has versioned caches, and none of them is the current version
+    // (live or staged). Translation packs, partial downloads and diagnostics are
+    // shared across versions and say nothing either way.
+    async isStuck() {
+        const sharedPrefixes = ['pack-', 'partial-', 'meta'].map(suffix => `${this.appPrefix}-${suffix}`);
+        const versioned = (await caches.keys()).filter(name =>
+            name.startsWith(`${this.appPrefix}-`) && !sharedPrefixes.some(prefix => name.startsWith(prefix)));
+
+        const current = [`${this.appPrefix}-${this.version}`, `${this.appPrefix}-temp-${this.version}`];
+        return versioned.length > 0 && !versioned.some(name => current.includes(name));
+    }
+
+    async rescue(attempts) {
+        this.setAttempts(attempts + 1);
+
+        // First try at once, then 1x, 2x, 4x the retry delay
+        const delay = attempts === 0 ? 0 : this.retryDelay * 2 ** (attempts - 1);
+        console.log(`Cache lock detected - rescuing to ${this.version} (attempt ${attempts + 1} of ${this.maxAttempts})...`);
+        if (delay > 0) await new Promise(resolve => setTimeout(resolve, delay));
+
+        try {
+            const old = await navigator.serviceWorker.getRegistration();
+            if (old) await old.unregister();
+            await this.waitForActivation(await this.register());
+        } catch (error) {
+            console.warn('Cache lock rescue attempt failed:', error);
+        }
+
+        location.reload();
+    }
+
+    register() {
+        return navigator.serviceWorker.register('/service-worker.js', { updateViaCache: 'none' });
+    }
+
+    // Resolves once the new worker is active, fails if it is discarded or too slow
+    waitForActivation(registration) {
+        return new Promise((resolve, reject) => {
+            const worker = registration.installing || registration.waiting || registration.active;
+            if (!worker) return reject(new Error('No service worker to wait for'));
+            if (worker.state === 'activated') return resolve();
+
+            const timer = setTimeout(() => reject(new Error('Service worker did not activate in time')), this.activationTimeout);
+            worker.addEventListener('statechange', () => {
+                if (worker.state === 'activated') {
+                    clearTimeout(timer);
+                    resolve();
+                } else if (worker.state === 'redundant') {
+                    clearTimeout(timer);
+                    reject(new Error('Service worker failed to install'));
+                }
+            });
+        });
+    }
+
+    getAttempts() {
+        try {
+            const stored = JSON.parse(sessionStorage.getItem(this.storageKey));
+            if (!stored || Date.now() - stored.at > this.attemptsExpire) return { attempts: 0 };
+            return stored;
+        } catch (error) {
+            return { attempts: 0 };
+        }
+    }
+
+    setAttempts(attempts) {
+        try {
+            sessionStorage.setItem(this.storageKey, JSON.stringify({ attempts, at: Date.now() }));
+        } catch (error) {
+            // Without sessionStorage every load counts as the first attempt; stop instead of looping
+            this.maxAttempts = 0;
+        }
+    }
+
+    clearAttempts() {
+        try {
+            sessionStorage.removeItem(this.storageKey);
+        } catch (error) {
+            // Nothing stored
+        }
+    }
+
+    // Inline styles on purpose: styles.js itself may be the stale copy
+    showFallback() {
+        const show = () => {
+            if (document.getElementById('cacheRescueMessage')) return;
+
+            const message = document.createElement('div');
+            message.id = 'cacheRescueMessage';
+            message.setAttribute('role', 'alert');
+            message.style.cssText = 'position:fixed;top:0;left:0;right:0;z-index:30;padding:0.75rem 1rem;' +
+                'background:#fef2f2;color:#991b1b;border-bottom:1px solid #fecaca;font-size:0.875rem;' +
+                'display:flex;gap:0.75rem;align-items:center;flex-wrap:wrap;';
+
+            const text = document.createElement('span');
+            text.style.flex = '1';
+            text.textContent = 'This app could not finish updating, so it may not work offline. ' +
+                'It keeps working while you are online. If this persists, clear this site\'s data in your browser settings.';
+
+            const retry = document.createElement('button');
+            retry.type = 'button';
+            retry.textContent = 'Try again';
+            retry.addEventListener('click', () => {
+                this.clearAttempts();
+                location.reload();
+            });
+
+            const dismiss = document.createElement('button');
+            dismiss.type = 'button';
+            dismiss.textContent = 'Dismiss';
+            dismiss.addEventListener('click', () => message.remove());
+
+            message.append(text, retry, dismiss);
+            document.body.appendChild(message);
+        };
+
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', show);
+        } else {
+            show();
+        }
+    }
+}
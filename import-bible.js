@@ -0,0 +1,421 @@
+// Bible Import Tool - Converts USFM, OSIS XML and Zefania XML into the translation
+// format the app reads: <lang>_<version>.json holding [{ abbrev, name, chapters: [[verse, ...]] }]
+//
+//   node import-bible.js <file-or-folder> --lang es --version rvr
+//        [--format usfm|osis|zefania] [--title "..."] [--copyright "..."] [--license "..."]
+//        [--out <folder>] [--force]
+//
+// USFM comes one book per file, so pass a folder (or a single book file). Next to
+// the translation it writes <lang>_<version>.meta.json with language, title,
+// copyright and license, then prints a validation report: missing books, empty
+// verses and chapter counts that differ from the usual versification.
+const fs = require('fs');
+const path = require('path');
+const { BIBLE_BOOKS } = require('./books.js');
+
+// Same pattern server.js uses to discover translations
+const BIBLE_FILENAME_PATTERN = /^([a-z]{2,3})_([a-z0-9_]+)\.json$/i;
+
+const BOOKS_BY_USFM = new Map(BIBLE_BOOKS.map(book => [book.usfm, book]));
+const BOOKS_BY_OSIS = new Map(BIBLE_BOOKS.map(book => [book.osis.toLowerCase(), book]));
+
+// IMPORTED BOOKS - Verses are collected by number; gaps stay visible to the report
+function createCollector() {
+  const books = new Map(); // abbrev -> { abbrev, name, chapters: [[...]] }
+  const skipped = new Set();
+  const bridges = [];
+
+  return {
+    books,
+    skipped,
+    bridges,
+
+    startBook(canonical, name) {
+      if (!books.has(canonical.abbrev)) {
+        books.set(canonical.abbrev, { abbrev: canonical.abbrev, name: name || canonical.names[0], chapters: [] });
+      } else if (name) {
+        books.get(canonical.abbrev).name = name;
+      }
+      return books.get(canonical.abbrev);
+    },
+
+    // Continuation text (paragraph breaks, milestones) is appended to the verse
+    addText(book, chapter, verse, text) {
+      if (!book || chapter < 1 || verse < 1) return;
+      const clean = text.replace(/\s+/g, ' ').trim();
+
+      const verses = book.chapters[chapter - 1] || (book.chapters[chapter - 1] = []);
+      if (verses[verse - 1] === undefined) verses[verse - 1] = '';
+      if (clean) verses[verse - 1] = verses[verse - 1] ? `${verses[verse - 1]} ${clean}` : clean;
+    }
+  };
+}
+
+// Books in canonical order, holes filled with empty strings
+function finishBooks(collector) {
+  return BIBLE_BOOKS
+    .filter(canonical => collector.books.has(canonical.abbrev))
+    .map(canonical => {
+      const book = collector.books.get(canonical.abbrev);
+      const chapters = Array.from(book.chapters, verses => Array.from(verses || [], text => text || ''));
+      return { abbrev: book.abbrev, name: book.name, chapters };
+    });
+}
+
+// USFM - Block markers start headings, paragraphs, chapters and verses; anything
+// else is an inline character marker and only its text is kept
+const USFM_SKIPPED = /^(id|ide|h|toc\d*|toca\d*|mt\d*|mte\d*|ms\d*|mr|s\d*|sr|r|d|sp|cl|cd|rem|sts|is\d*|ip|ipi|im|imi|ipq|imq|ipr|iq\d*|ib|ili\d*|iot|io\d*|iex|imt\d*|imte\d*|ie|lh|lf|periph)$/;
+const USFM_BLOCK = /\\(id|ide|h|toc\d*|toca\d*|mt\d*|mte\d*|ms\d*|mr|s\d*|sr|r|d|sp|cl|cd|cp|ca|c|v|va|vp|rem|sts|is\d*|ip|ipi|im|imi|ipq|imq|ipr|iq\d*|ib|ili\d*|iot|io\d*|iex|imt\d*|imte\d*|ie|lh|lf|periph|p|m|po|pr|cls|pmo|pm|pmc|pmr|pi\d*|mi|nb|pc|ph\d*|b|q\d*|qr|qc|qa|qm\d*|qd|lim\d*|li\d*|pb)(?![a-z*])\s?/;
+
+function cleanUsfm(text) {
+  return text
+    .replace(/\\\+?w\s+([^|\\]*?)(\|[^\\]*)?\\\+?w\*/g, '$1') // \w word|strong="H1234"\w*
+    .replace(/\\\+?[a-z]+\d*\*?/g, '')
+    .replace(/~/g, ' ')
+    .replace(/\/\//g, ' ');
+}
+
+function parseUsfm(text, collector) {
+  // Footnotes, cross references and alternate numbers are not verse text
+  const body = text
+    .replace(/^﻿/, '')
+    .replace(/\\(f|fe|ef|x|ex)\s[\s\S]*?\\\1\*/g, '')
+    .replace(/\\(ca|va|vp)\s[\s\S]*?\\\1\*/g, '');
+
+  const parts = body.split(new RegExp(USFM_BLOCK.source, 'g'));
+  let book = null;
+  let canonical = null;
+  let names = {};
+  let chapter = 0;
+  let verse = 0;
+
+  for (let i = 1; i < parts.length; i += 2) {
+    const marker = parts[i];
+    const content = parts[i + 1] || '';
+
+    if (marker === 'id') {
+      const code = content.trim().split(/\s+/)[0].toUpperCase();
+      canonical = BOOKS_BY_USFM.get(code) || null;
+      book = null;
+      names = {};
+      chapter = 0;
+      verse = 0;
+      if (!canonical) collector.skipped.add(code);
+      continue;
+    }
+
+    if (!canonical) continue;
+
+    if (['h', 'toc1', 'toc2', 'mt', 'mt1'].includes(marker)) {
+      names[marker] = cleanUsfm(content).replace(/\s+/g, ' ').trim();
+      continue;
+    }
+
+    if (marker === 'c') {
+      book = book || collector.startBook(canonical, names.h || names.toc2 || names.mt1 || names.mt || names.toc1);
+      chapter = parseInt(content, 10) || 0;
+      verse = 0;
+      continue;
+    }
+
+    if (marker === 'v') {
+      const match = content.match(/^(\d+)[a-z]?(?:\s*-\s*(\d+)[a-z]?)?\s*([\s\S]*)$/);
+      if (!match) continue;
+
+      verse = parseInt(match[1], 10);
+      if (match[2]) {
+        collector.bridges.push(`${canonical.abbrev} ${chapter}:${match[1]}-${match[2]}`);
+      }
+      collector.addText(book, chapter, verse, cleanUsfm(match[3]));
+      continue;
+    }
+
+    if (USFM_SKIPPED.test(marker)) continue;
+
+    // Paragraph and poetry markers continue the current verse
+    if (verse > 0) collector.addText(book, chapter, verse, cleanUsfm(content));
+  }
+}
+
+// XML - A small tokenizer is enough for OSIS and Zefania, which only need
+// elements, attributes and text
+const XML_TOKEN = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<(\/?)([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos);/gi, (entity, code) => {
+    const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+    if (code[0] !== '#') return named[code.toLowerCase()];
+    const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+    return String.fromCodePoint(point);
+  });
+}
+
+function* xmlTokens(xml) {
+  XML_TOKEN.lastIndex = 0;
+  let match;
+
+  while ((match = XML_TOKEN.exec(xml)) !== null) {
+    const [, cdata, closing, name, attributeText, selfClosing, text] = match;
+
+    if (cdata !== undefined) {
+      yield { type: 'text', text: cdata };
+    } else if (text !== undefined) {
+      yield { type: 'text', text: decodeEntities(text) };
+    } else if (name) {
+      const attributes = {};
+      for (const [, key, doubleQuoted, singleQuoted] of (attributeText || '').matchAll(/([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+        attributes[key] = decodeEntities(doubleQuoted !== undefined ? doubleQuoted : singleQuoted);
+      }
+      yield { type: closing ? 'close' : 'open', name: name.toLowerCase(), attributes, selfClosing: Boolean(selfClosing) };
+      if (selfClosing) yield { type: 'close', name: name.toLowerCase(), attributes: {}, selfClosing: true };
+    }
+  }
+}
+
+// OSIS - Verses are either containers or sID/eID milestones; notes and headings are
+// skipped, except a book's own title which becomes its name
+function parseOsis(xml, collector, metadata) {
+  const skipped = ['note', 'title', 'rdg', 'header'];
+  const stack = [];
+  let book = null;
+  let chapter = 0;
+  let verse = 0;
+  let headerField = null;
+  let bookTitle = null;
+
+  for (const token of xmlTokens(xml)) {
+    if (token.type === 'open') {
+      stack.push(token.name);
+      const { attributes } = token;
+
+      if (token.name === 'osistext' && attributes['xml:lang']) metadata.sourceLanguage = attributes['xml:lang'];
+      if (stack.includes('work') && ['title', 'rights', 'language'].includes(token.name)) headerField = token.name;
+
+      if (token.name === 'div' && attributes.type === 'book' && attributes.osisID) {
+        const canonical = BOOKS_BY_OSIS.get(attributes.osisID.toLowerCase());
+        book = canonical ? collector.startBook(canonical) : null;
+        chapter = 0;
+        bookTitle = null;
+        if (!canonical) collector.skipped.add(attributes.osisID);
+      } else if (token.name === 'title' && book && chapter === 0 && bookTitle === null) {
+        bookTitle = '';
+      } else if (token.name === 'chapter' && (attributes.osisID || attributes.sID) && !attributes.eID) {
+        chapter = parseInt((attributes.osisID || attributes.sID).split('.')[1], 10) || 0;
+        verse = 0;
+      } else if (token.name === 'verse' && !attributes.eID && (attributes.osisID || attributes.sID)) {
+        const refs = (attributes.osisID || attributes.sID).split(/\s+/);
+        const [, chapterText, verseText] = refs[0].split('.');
+        chapter = parseInt(chapterText, 10) || chapter;
+        verse = parseInt(verseText, 10) || 0;
+        if (refs.length > 1 && book) collector.bridges.push(`${book.abbrev} ${chapter}:${verse} (${refs.length} verses)`);
+        collector.addText(book, chapter, verse, '');
+      } else if (token.name === 'verse' && attributes.eID) {
+        verse = 0;
+      }
+    } else if (token.type === 'close') {
+      const index = stack.lastIndexOf(token.name);
+      if (index !== -1) stack.length = index;
+      if (token.name === 'verse' && !token.selfClosing) verse = 0;
+      if (token.name === headerField) headerField = null;
+      if (token.name === 'title' && book && bookTitle) {
+        book.name = bookTitle.replace(/\s+/g, ' ').trim();
+        bookTitle = false;
+      }
+    } else if (headerField) {
+      if (!metadata[headerField]) metadata[headerField] = token.text.trim();
+    } else if (typeof bookTitle === 'string' && stack.includes('title')) {
+      bookTitle += token.text;
+    } else if (verse > 0 && !stack.some(name => skipped.includes(name))) {
+      collector.addText(book, chapter, verse, token.text);
+    }
+  }
+}
+
+// ZEFANIA - BIBLEBOOK bnumber 1-66 follows the same canon order as BIBLE_BOOKS
+function parseZefania(xml, collector, metadata) {
+  const skipped = ['note', 'xref', 'caption', 'information', 'remark'];
+  const stack = [];
+  let book = null;
+  let chapter = 0;
+  let verse = 0;
+  let infoField = null;
+
+  for (const token of xmlTokens(xml)) {
+    if (token.type === 'open') {
+      stack.push(token.name);
+      const { attributes } = token;
+
+      if (stack.includes('information') && ['title', 'rights', 'language'].includes(token.name)) infoField = token.name;
+
+      if (token.name === 'biblebook') {
+        const number = parseInt(attributes.bnumber, 10);
+        const canonical = number >= 1 && number <= BIBLE_BOOKS.length ? BIBLE_BOOKS[number - 1] : null;
+        book = canonical ? collector.startBook(canonical, attributes.bname) : null;
+        if (!canonical) collector.skipped.add(attributes.bname || `book ${attributes.bnumber}`);
+      } else if (token.name === 'chapter') {
+        chapter = parseInt(attributes.cnumber, 10) || 0;
+      } else if (token.name === 'vers') {
+        verse = parseInt(attributes.vnumber, 10) || 0;
+        collector.addText(book, chapter, verse, '');
+      }
+    } else if (token.type === 'close') {
+      const index = stack.lastIndexOf(token.name);
+      if (index !== -1) stack.length = index;
+      if (token.name === 'vers') verse = 0;
+      if (token.name === infoField) infoField = null;
+    } else if (infoField) {
+      if (!metadata[infoField]) metadata[infoField] = token.text.trim();
+    } else if (verse > 0 && !stack.some(name => skipped.includes(name))) {
+      collector.addText(book, chapter, verse, token.text);
+    }
+  }
+}
+
+// VALIDATION REPORT
+function validateBooks(books, collector) {
+  const present = new Set(books.map(book => book.abbrev));
+  const report = {
+    missingBooks: BIBLE_BOOKS.filter(book => !present.has(book.abbrev)).map(book => book.abbrev),
+    emptyVerses: [],
+    chapterAnomalies: [],
+    skippedBooks: [...collector.skipped],
+    verseBridges: collector.bridges
+  };
+
+  books.forEach(book => {
+    const canonical = BIBLE_BOOKS.find(candidate => candidate.abbrev === book.abbrev);
+    if (book.chapters.length !== canonical.chapterCount) {
+      report.chapterAnomalies.push(`${book.abbrev}: ${book.chapters.length} chapters, usually ${canonical.chapterCount}`);
+    }
+
+    book.chapters.forEach((verses, index) => {
+      if (verses.length === 0) {
+        report.chapterAnomalies.push(`${book.abbrev} ${index + 1}: no verses`);
+        return;
+      }
+      verses.forEach((text, verseIndex) => {
+        if (!text) report.emptyVerses.push(`${book.abbrev} ${index + 1}:${verseIndex + 1}`);
+      });
+    });
+  });
+
+  return report;
+}
+
+function printReport(report, books, outputFile) {
+  const verseCount = books.reduce((total, book) => total + book.chapters.reduce((sum, verses) => sum + verses.length, 0), 0);
+  const section = (title, items, limit = 50) => {
+    console.log(`\n${title}: ${items.length === 0 ? 'none' : items.length}`);
+    items.slice(0, limit).forEach(item => console.log(`  ${item}`));
+    if (items.length > limit) console.log(`  ... and ${items.length - limit} more`);
+  };
+
+  console.log(`Wrote ${outputFile}: ${books.length} books, ${verseCount} verses`);
+  console.log(`\nMissing books: ${report.missingBooks.length === 0 ? 'none' : report.missingBooks.length}`);
+  if (report.missingBooks.length > 0) console.log(`  ${report.missingBooks.join(', ')}`);
+  section('Empty verses', report.emptyVerses);
+  section('Chapter count anomalies', report.chapterAnomalies);
+  section('Skipped books (not in the canon table)', report.skippedBooks);
+  section('Verse bridges (text kept in the first verse)', report.verseBridges);
+}
+
+// COMMAND LINE
+function parseArgs(argv) {
+  const options = { inputs: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--force') {
+      options.force = true;
+    } else if (arg.startsWith('--')) {
+      options[arg.slice(2)] = argv[++i];
+    } else {
+      options.inputs.push(arg);
+    }
+  }
+  return options;
+}
+
+function detectFormat(file, text) {
+  if (/\.(usfm|sfm)$/i.test(file) || /^﻿?\s*\\id\s/.test(text)) return 'usfm';
+  if (/<osis[\s>]/i.test(text)) return 'osis';
+  if (/<XMLBIBLE[\s>]/i.test(text)) return 'zefania';
+  return null;
+}
+
+function listInputFiles(input) {
+  if (!fs.statSync(input).isDirectory()) return [input];
+  return fs.readdirSync(input)
+    .filter(name => /\.(usfm|sfm|xml|osis)$/i.test(name))
+    .sort()
+    .map(name => path.join(input, name));
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const usage = 'Usage: node import-bible.js <file-or-folder> --lang <xx> --version <name> [--format usfm|osis|zefania] [--title ...] [--copyright ...] [--license ...] [--out <folder>] [--force]';
+
+  if (options.inputs.length === 0 || !options.lang || !options.version) {
+    throw new Error(usage);
+  }
+
+  const filename = `${options.lang.toLowerCase()}_${options.version.toLowerCase()}.json`;
+  if (!BIBLE_FILENAME_PATTERN.test(filename)) {
+    throw new Error(`"${filename}" is not a valid translation name: use a 2-3 letter language code and a version of letters, digits and _`);
+  }
+
+  const outDir = path.resolve(options.out || process.env.BIBLES_DIR || __dirname);
+  const outputFile = path.join(outDir, filename);
+  const metaFile = outputFile.replace(/\.json$/, '.meta.json');
+  if (fs.existsSync(outputFile) && !options.force) {
+    throw new Error(`${outputFile} already exists (use --force to overwrite)`);
+  }
+
+  const collector = createCollector();
+  const metadata = {};
+  const parsers = { usfm: parseUsfm, osis: parseOsis, zefania: parseZefania };
+  const formats = new Set();
+
+  for (const file of options.inputs.flatMap(listInputFiles)) {
+    const text = fs.readFileSync(file, 'utf8');
+    const format = options.format || detectFormat(file, text);
+    if (!parsers[format]) {
+      throw new Error(`Cannot tell the format of ${file} (use --format usfm|osis|zefania)`);
+    }
+    parsers[format](text, collector, metadata);
+    formats.add(format);
+  }
+
+  const books = finishBooks(collector);
+  if (books.length === 0) {
+    throw new Error('No canonical books found in the input');
+  }
+
+  const meta = {
+    language: options.lang.toLowerCase(),
+    version: options.version.toUpperCase(),
+    title: options.title || metadata.title || `${options.lang.toUpperCase()} - ${options.version.toUpperCase()}`,
+    copyright: options.copyright || metadata.rights || '',
+    license: options.license || '',
+    sourceLanguage: metadata.language || metadata.sourceLanguage || null,
+    sourceFormat: [...formats].join(', '),
+    importedAt: new Date().toISOString()
+  };
+
+  fs.mkdirSync(outDir, { recursive: true });
+  fs.writeFileSync(outputFile, JSON.stringify(books));
+  fs.writeFileSync(metaFile, JSON.stringify(meta, null, 2) + '\n');
+
+  printReport(validateBooks(books, collector), books, outputFile);
+  console.log(`\nMetadata: ${metaFile}`);
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = { parseUsfm, parseOsis, parseZefania, createCollector, finishBooks, validateBooks };
@@ -7,8 +7,66 @@ class BibleApp {
         this.currentFontSize = 'medium';
         this.fontSizes = ['small', 'medium', 'large', 'xlarge'];
         this.dbName = 'BibleReader';
-        this.dbVersion = 1;
+        this.dbVersion = 6;
         this.db = null;
+        this.bibleSearch = null;
+        this.referenceParser = null;
+        this.searchIndexReady = null;
+        this.searchIndexBuild = null;
+        this.searchRequestId = 0;
+        this.historySuppressed = 0;
+        this.routePrefix = '/read/';
+        this.positionsKey = 'bibleReadingPositions';
+        this.lastBibleKey = 'bibleLastBible';
+        this.scrollSaveTimer = null;
+        
+        // Parallel view - extra translations shown next to the selected one
+        this.parallelBibles = [];
+        this.parallelData = new Map();
+        
+        // Books still downloading, keyed by "<filename>|<abbrev>"
+        this.bookRequests = new Map();
+        this.maxParallelBibles = 2;
+        this.parallelKey = 'bibleParallelBibles';
+        
+        // Bookmarks keyed by "<abbrev>.<chapter>.<verse>" in KJV numbering so they survive switching translations
+        this.bookmarks = new Map();
+        
+        // Highlights use the same verse keys as bookmarks
+        this.highlights = new Map();
+        this.highlightColors = ['yellow', 'green', 'blue', 'pink', 'orange'];
+        this.selectedVerses = [];
+        
+        // localStorage entries included in data export/import
+        this.settingsKeys = ['bibleFontSize', this.positionsKey, this.lastBibleKey, this.parallelKey];
+        
+        // Offline downloads, keyed by translation url; progress comes from the service worker
+        this.packStatus = new Map();
+        
+        // Waiting service worker update; shown once the reader pauses
+        this.pendingUpdate = null;
+        this.ignoreActivation = false;
+        this.updateCheckTimer = null;
+        this.updateIdleDelay = 20000;
+        this.lastReadingActivity = 0;
+        this.reloadRequested = false;
+        
+        // Connectivity reported by the service worker, and when the text on screen left the server
+        this.connectivityState = navigator.onLine === false ? 'offline' : 'online';
+        this.displayedFetchedAt = null;
+        
+        // Passage to open after a translation switch, and the one "Back to ..." returns to
+        this.pendingPassage = null;
+        this.switchBackPassage = null;
+        
+        // Reading plans started or imported, keyed by plan id; built-in plans not started aren't stored
+        this.readingPlans = new Map();
+        this.todayReadingRequestId = 0;
+        this.planListRequestId = 0;
+        
+        this.searchTimer = null;
+        this.searchDelay = 300;
+        this.minSearchLength = 2;
         
         // Current selection state
         this.currentSelection = {
@@ -16,7 +74,8 @@ class BibleApp {
             book: null,
             chapter: null,
             startVerse: null,
-            endVerse: null
+            endVerse: null,
+            verseList: null
         };
         
         this.elements = {};
@@ -28,7 +87,23 @@ class BibleApp {
             'languageSelect', 'bibleSelect', 'controls', 'bookSelect',
             'verseControls', 'startVerse', 'endVerse', 'fontBtn',
             'welcome', 'reading', 'loading', 'error', 'chapterTitle',
-            'verses', 'errorMessage', 'prevChapterBtn', 'nextChapterBtn'
+            'verses', 'errorMessage', 'prevChapterBtn', 'nextChapterBtn',
+            'searchInput', 'searchResults', 'searchSummary', 'searchResultList',
+            'referenceInput', 'referenceError',
+            'welcomeMessage', 'continueReading', 'continueReadingRef', 'continueReadingBible', 'continueReadingBtn',
+            'todayReading', 'todayReadingList',
+            'plansBtn', 'readingPlans', 'closeReadingPlansBtn', 'activePlanList', 'activePlansEmpty',
+            'availablePlanList', 'importPlanInput', 'importPlanBtn', 'planStatus',
+            'parallelSelect', 'parallelChips',
+            'bookmarksBtn', 'bookmarks', 'closeBookmarksBtn', 'bookmarkFilter', 'bookmarkFolderFilter',
+            'bookmarkFolders', 'bookmarkList', 'bookmarksEmpty',
+            'highlightToolbar', 'highlightsBtn', 'highlights', 'closeHighlightsBtn', 'highlightGroups', 'highlightsEmpty',
+            'dataBtn', 'personalData', 'closeDataBtn', 'exportDataBtn', 'importDataInput', 'importDataBtn', 'dataStatus',
+            'downloadsBtn', 'downloads', 'closeDownloadsBtn', 'storageEstimate', 'downloadList',
+            'updateBanner', 'updateVersion', 'updateChangelog', 'updateReloadBtn', 'updateDismissBtn',
+            'connectivityStatus', 'dataAge', 'switchNotice', 'switchNoticeText', 'switchBackBtn',
+            'diagnosticsBtn', 'diagnostics', 'closeDiagnosticsBtn', 'diagnosticsSummary', 'diagnosticsAssets',
+            'diagnosticsBibles', 'verifyIntegrityBtn', 'repairBtn', 'resetEverythingBtn', 'diagnosticsStatus'
         ];
 
         elementIds.forEach(id => {
@@ -50,10 +125,26 @@ class BibleApp {
     async init() {
         if (!this.initElements()) return;
 
+        // Read the link before discovery resets the selection
+        const initialRoute = this.parseRoute(location);
+
         this.setupEventListeners();
+        this.watchForUpdates();
+        this.renderConnectivity();
+        this.refreshConnectivity();
         this.loadFontPreference();
         await this.initIndexedDB();
+        await this.loadBookmarks();
+        await this.loadHighlights();
+        await this.loadReadingPlans();
         await this.discoverBibles();
+
+        if (initialRoute) {
+            await this.applyRoute(initialRoute);
+        } else {
+            this.renderContinueReading();
+            this.renderTodayReading();
+        }
     }
 
     setupEventListeners() {
@@ -111,6 +202,244 @@ class BibleApp {
             });
         }
 
+        // Go-to reference box
+        if (this.elements.referenceInput) {
+            this.elements.referenceInput.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    this.goToReference(this.elements.referenceInput.value);
+                }
+            });
+
+            this.elements.referenceInput.addEventListener('input', () => {
+                this.hideReferenceError();
+            });
+        }
+
+        // Search - debounced so typing doesn't rescan the Bible on every key
+        if (this.elements.searchInput) {
+            this.elements.searchInput.addEventListener('input', () => {
+                clearTimeout(this.searchTimer);
+                this.searchTimer = setTimeout(() => this.runSearch(), this.searchDelay);
+            });
+
+            this.elements.searchInput.addEventListener('keydown', (e) => {
+                if (e.key === 'Escape') {
+                    this.clearSearch();
+                } else if (e.key === 'Enter') {
+                    clearTimeout(this.searchTimer);
+                    this.runSearch();
+                }
+            });
+        }
+
+        // Parallel translations
+        if (this.elements.parallelSelect) {
+            this.elements.parallelSelect.addEventListener('change', (e) => {
+                if (e.target.value) this.addParallelBible(e.target.value);
+            });
+        }
+
+        // Bookmarks
+        if (this.elements.verses) {
+            this.elements.verses.addEventListener('click', (e) => {
+                const button = e.target.closest('.verse-bookmark');
+                if (!button) return;
+                const verseElement = button.closest('.verse');
+                this.toggleBookmark(parseInt(verseElement.dataset.verse, 10));
+            });
+        }
+
+        if (this.elements.bookmarksBtn) {
+            this.elements.bookmarksBtn.addEventListener('click', () => {
+                this.showBookmarks();
+            });
+        }
+
+        if (this.elements.closeBookmarksBtn) {
+            this.elements.closeBookmarksBtn.addEventListener('click', () => {
+                this.showCurrentContent();
+            });
+        }
+
+        [this.elements.bookmarkFilter, this.elements.bookmarkFolderFilter].forEach(input => {
+            if (input) {
+                input.addEventListener('input', () => this.renderBookmarks());
+            }
+        });
+
+        // Highlights - select text across one or more verses, then pick a color
+        document.addEventListener('selectionchange', () => {
+            this.updateSelectedVerses();
+        });
+
+        if (this.elements.highlightToolbar) {
+            // Keep the text selection alive while tapping the toolbar
+            this.elements.highlightToolbar.addEventListener('mousedown', (e) => e.preventDefault());
+            this.elements.highlightToolbar.addEventListener('click', (e) => {
+                const button = e.target.closest('button');
+                if (button) this.applyHighlight(button.dataset.color || null);
+            });
+        }
+
+        if (this.elements.highlightsBtn) {
+            this.elements.highlightsBtn.addEventListener('click', () => {
+                this.showHighlights();
+            });
+        }
+
+        if (this.elements.closeHighlightsBtn) {
+            this.elements.closeHighlightsBtn.addEventListener('click', () => {
+                this.showCurrentContent();
+            });
+        }
+
+        // Reading plans
+        if (this.elements.plansBtn) {
+            this.elements.plansBtn.addEventListener('click', () => {
+                this.showReadingPlans();
+            });
+        }
+
+        if (this.elements.closeReadingPlansBtn) {
+            this.elements.closeReadingPlansBtn.addEventListener('click', () => {
+                this.showCurrentContent();
+            });
+        }
+
+        if (this.elements.importPlanBtn && this.elements.importPlanInput) {
+            this.elements.importPlanBtn.addEventListener('click', () => {
+                this.importReadingPlan(this.elements.importPlanInput.files[0]);
+            });
+        }
+
+        // Personal data export/import
+        if (this.elements.dataBtn) {
+            this.elements.dataBtn.addEventListener('click', () => {
+                this.showPersonalData();
+            });
+        }
+
+        if (this.elements.closeDataBtn) {
+            this.elements.closeDataBtn.addEventListener('click', () => {
+                this.showCurrentContent();
+            });
+        }
+
+        if (this.elements.exportDataBtn) {
+            this.elements.exportDataBtn.addEventListener('click', () => {
+                this.exportPersonalData();
+            });
+        }
+
+        if (this.elements.importDataBtn && this.elements.importDataInput) {
+            this.elements.importDataBtn.addEventListener('click', () => {
+                const file = this.elements.importDataInput.files[0];
+                const mode = document.querySelector('input[name="importMode"]:checked');
+                this.importPersonalData(file, mode ? mode.value : 'merge');
+            });
+        }
+
+        // Diagnostics
+        if (this.elements.diagnosticsBtn) {
+            this.elements.diagnosticsBtn.addEventListener('click', () => {
+                this.showDiagnostics();
+            });
+        }
+
+        if (this.elements.closeDiagnosticsBtn) {
+            this.elements.closeDiagnosticsBtn.addEventListener('click', () => {
+                this.showCurrentContent();
+            });
+        }
+
+        if (this.elements.verifyIntegrityBtn) {
+            this.elements.verifyIntegrityBtn.addEventListener('click', () => {
+                this.verifyIntegrity();
+            });
+        }
+
+        if (this.elements.repairBtn) {
+            this.elements.repairBtn.addEventListener('click', () => {
+                this.repairApp();
+            });
+        }
+
+        if (this.elements.resetEverythingBtn) {
+            this.elements.resetEverythingBtn.addEventListener('click', () => {
+                this.resetEverything();
+            });
+        }
+
+        // Offline downloads
+        if (this.elements.downloadsBtn) {
+            this.elements.downloadsBtn.addEventListener('click', () => {
+                this.showDownloads();
+            });
+        }
+
+        if (this.elements.closeDownloadsBtn) {
+            this.elements.closeDownloadsBtn.addEventListener('click', () => {
+                this.showCurrentContent();
+            });
+        }
+
+        if ('serviceWorker' in navigator) {
+            navigator.serviceWorker.addEventListener('message', (event) => {
+                if (event.data && event.data.action === 'packProgress') {
+                    this.handlePackProgress(event.data);
+                }
+                if (event.data && event.data.action === 'reload') {
+                    this.handleUpdateActivated(event.data);
+                }
+                if (event.data && event.data.action === 'connectivity') {
+                    this.setConnectivity(event.data.state);
+                }
+            });
+        }
+
+        // The browser's online flag is only a hint; the service worker confirms it
+        window.addEventListener('offline', () => this.setConnectivity('offline'));
+        window.addEventListener('online', () => this.refreshConnectivity(true));
+
+        // Update banner
+        if (this.elements.updateReloadBtn) {
+            this.elements.updateReloadBtn.addEventListener('click', () => {
+                this.applyUpdate();
+            });
+        }
+
+        if (this.elements.updateDismissBtn) {
+            this.elements.updateDismissBtn.addEventListener('click', () => {
+                this.dismissUpdate();
+            });
+        }
+
+        // Notice shown when the new translation lacks the book being read
+        if (this.elements.switchBackBtn) {
+            this.elements.switchBackBtn.addEventListener('click', () => {
+                this.switchBack();
+            });
+        }
+
+        // Continue reading card on the welcome panel
+        if (this.elements.continueReadingBtn) {
+            this.elements.continueReadingBtn.addEventListener('click', () => {
+                this.continueReading();
+            });
+        }
+
+        // Remember how far down the chapter the reader is
+        window.addEventListener('scroll', () => {
+            this.lastReadingActivity = Date.now();
+            clearTimeout(this.scrollSaveTimer);
+            this.scrollSaveTimer = setTimeout(() => this.saveReadingPosition(), 500);
+        }, { passive: true });
+
+        // Browser back/forward steps through reading history
+        window.addEventListener('popstate', () => {
+            this.applyRoute(this.parseRoute(location));
+        });
+
         // Font button
         if (this.elements.fontBtn) {
             this.elements.fontBtn.addEventListener('click', () => {
@@ -134,6 +463,15 @@ class BibleApp {
     async handleSelectionChange(level, value) {
         console.log(`Selection change: ${level} = ${value}`);
 
+        // The passage on screen follows the reader into a newly selected translation
+        const passage = level === 'bible' ? this.pendingPassage || this.getCurrentPassage() : null;
+        this.pendingPassage = null;
+
+        // Any manual change drops a comma-separated verse list from a typed reference
+        this.currentSelection.verseList = null;
+
+        if (level === 'bible' || level === 'book') this.hideSwitchNotice();
+
         // Update current selection and reset lower levels
         switch (level) {
             case 'bible':
@@ -145,14 +483,22 @@ class BibleApp {
                 
                 if (value) {
                     await this.loadSelectedBible(value);
-                    // Auto-select first book
-                    if (this.bibleData && this.bibleData.length > 0) {
+                    
+                    // Keep the passage being read; from the welcome screen, resume this
+                    // translation where it was left, or start at its first book
+                    const saved = this.getReadingPosition(value);
+                    if (passage && this.bibleData && this.bibleData.length > 0) {
+                        await this.openPassage(passage);
+                    } else if (saved && this.findBookByAbbrev(saved.book)) {
+                        await this.navigateTo(saved.book, saved.chapter, saved.startVerse, saved.endVerse, saved.verseList);
+                    } else if (this.bibleData && this.bibleData.length > 0) {
                         const firstBook = this.bibleData[0].abbrev;
                         this.elements.bookSelect.value = firstBook;
                         await this.handleSelectionChange('book', firstBook);
                     }
                 } else {
                     this.resetToWelcome();
+                    this.syncUrl();
                 }
                 break;
 
@@ -185,7 +531,7 @@ class BibleApp {
                     this.showVerseControls();
                     // Auto-load all verses of the chapter
                     this.clearVerseInputs();
-                    this.displayCurrentSelection();
+                    await this.displayCurrentSelection();
                 } else {
                     this.hideVerseControls();
                 }
@@ -195,7 +541,7 @@ class BibleApp {
             case 'endVerse':
                 this.currentSelection[level] = value;
                 // Auto-reload with new verse selection
-                this.displayCurrentSelection();
+                await this.displayCurrentSelection();
                 break;
 
             default:
@@ -241,29 +587,253 @@ class BibleApp {
         const currentBookIndex = this.bibleData.findIndex(book => book.abbrev === this.currentSelection.book);
         if (currentBookIndex > 0) {
             const prevBook = this.bibleData[currentBookIndex - 1];
-            this.elements.bookSelect.value = prevBook.abbrev;
-            this.handleSelectionChange('book', prevBook.abbrev);
             
             // Go to last chapter of previous book
-            setTimeout(() => {
-                if (this.elements.chapterSelect) {
-                    const lastChapter = prevBook.chapters.length;
-                    this.elements.chapterSelect.value = lastChapter.toString();
-                    this.handleSelectionChange('chapter', lastChapter);
+            this.navigateTo(prevBook.abbrev, prevBook.chapters.length);
+        }
+    }
+
+    // Jump to a passage through the regular selection flow - one history entry for the whole jump
+    async navigateTo(book, chapter, startVerse = null, endVerse = null, verseList = null) {
+        if (!this.findBookByAbbrev(book)) return false;
+
+        this.historySuppressed++;
+        try {
+            this.elements.bookSelect.value = book;
+            await this.handleSelectionChange('book', book);
+
+            if (chapter && chapter !== 1 && this.elements.chapterSelect) {
+                this.elements.chapterSelect.value = chapter.toString();
+                await this.handleSelectionChange('chapter', chapter);
+            }
+
+            if (startVerse && this.elements.startVerse) {
+                this.elements.startVerse.value = startVerse;
+                await this.handleSelectionChange('startVerse', startVerse);
+            }
+
+            if (endVerse && this.elements.endVerse) {
+                this.elements.endVerse.value = endVerse;
+                await this.handleSelectionChange('endVerse', endVerse);
+            }
+
+            if (verseList) {
+                this.currentSelection.verseList = verseList;
+                await this.displayCurrentSelection();
+            }
+        } finally {
+            this.historySuppressed--;
+        }
+
+        this.syncUrl();
+        return true;
+    }
+
+    // Deep links: /read/<bible>/<book>/<chapter>[/<verses>], e.g. /read/es_rvr/jo/3/16-18
+    // Also accepted on load: /#/es_rvr/jo/3/16-18 and ?bible=es_rvr&book=jo&chapter=3&verses=16-18
+    parseRoute(loc) {
+        let segments = null;
+
+        if (loc.pathname.startsWith(this.routePrefix)) {
+            segments = loc.pathname.slice(this.routePrefix.length).split('/');
+        } else if (loc.hash.startsWith('#/')) {
+            segments = loc.hash.slice(2).split('/');
+        } else {
+            const params = new URLSearchParams(loc.search);
+            if (params.has('bible')) {
+                segments = [params.get('bible'), params.get('book'), params.get('chapter'), params.get('verses')];
+            }
+        }
+
+        if (!segments) return null;
+
+        const [bible, book, chapter, verses] = segments.map(segment => segment ? decodeURIComponent(segment) : null);
+        if (!bible) return null;
+
+        return {
+            bible,
+            book,
+            chapter: parseInt(chapter, 10) || null,
+            verses
+        };
+    }
+
+    buildRoutePath() {
+        const { bible, book, chapter, startVerse, endVerse, verseList } = this.currentSelection;
+        if (!bible || !book || !chapter) return '/';
+
+        const bibleId = bible.replace(/^\//, '').replace(/\.json$/, '');
+        let path = `${this.routePrefix}${encodeURIComponent(bibleId)}/${encodeURIComponent(book)}/${chapter}`;
+
+        const bookData = this.findBookByAbbrev(book);
+        const chapterLength = bookData?.chapters?.[chapter - 1]?.length || 0;
+        const verseLabel = this.getVerseLabel(startVerse || 1, endVerse || chapterLength, chapterLength);
+
+        if (verseLabel) path += `/${verseLabel}`;
+        return path;
+    }
+
+    syncUrl() {
+        if (this.historySuppressed > 0 || !window.history) return;
+
+        const path = this.buildRoutePath();
+        if (path === location.pathname) return;
+
+        history.pushState({ path }, '', path);
+    }
+
+    async applyRoute(route) {
+        this.historySuppressed++;
+        try {
+            if (!route) {
+                if (this.currentSelection.bible) {
+                    this.elements.bibleSelect.value = '';
+                    await this.handleSelectionChange('bible', '');
+                }
+                return;
+            }
+
+            const bibleInfo = this.availableBibles.find(bible =>
+                bible.filename.replace(/^\//, '').replace(/\.json$/, '') === route.bible
+            );
+
+            if (!bibleInfo) {
+                this.showError(`Bible "${route.bible}" from the link is not available.`);
+                return;
+            }
+
+            if (this.currentSelection.bible !== bibleInfo.filename) {
+                this.elements.bibleSelect.value = bibleInfo.filename;
+                await this.handleSelectionChange('bible', bibleInfo.filename);
+            }
+
+            if (!this.bibleData || !route.book) return;
+
+            // Accept the file's abbrev or anything the reference parser understands ('juan', 'jn')
+            let book = this.findBookByAbbrev(route.book);
+            if (!book && this.referenceParser) {
+                const candidates = this.referenceParser.findBookCandidates(route.book);
+                book = candidates.map(abbrev => this.findBookByAbbrev(abbrev)).find(Boolean);
+            }
+
+            if (!book) {
+                this.showError(`Book "${route.book}" from the link is not in this Bible.`);
+                return;
+            }
+
+            const chapter = Math.min(Math.max(route.chapter || 1, 1), book.chapters.length);
+            const chapterLength = book.chapters[chapter - 1].length;
+            let startVerse = null;
+            let endVerse = null;
+            let verseList = null;
+
+            if (route.verses) {
+                try {
+                    const ranges = ReferenceParser.parseVerseList(route.verses)
+                        .filter(range => range.start >= 1 && range.start <= range.end && range.end <= chapterLength);
+
+                    if (ranges.length > 0) {
+                        startVerse = Math.min(...ranges.map(range => range.start));
+                        endVerse = Math.max(...ranges.map(range => range.end));
+                        if (ranges.length > 1) verseList = ReferenceParser.expandRanges(ranges);
+                    }
+                } catch (error) {
+                    console.warn('Ignoring invalid verses in link:', route.verses);
+                }
+            }
+
+            await this.navigateTo(book.abbrev, chapter, startVerse, endVerse, verseList);
+        } finally {
+            this.historySuppressed--;
+
+            // Normalize hash/query links into the canonical path without adding an entry
+            if (window.history) {
+                const path = this.buildRoutePath();
+                if (path !== location.pathname || location.hash || location.search) {
+                    history.replaceState({ path }, '', path);
                 }
-            }, 100);
+            }
+        }
+    }
+
+    // Parse a typed reference and jump to it
+    async goToReference(text) {
+        if (!this.referenceParser) {
+            this.showReferenceError('Load a Bible first.');
+            return false;
         }
+
+        let reference;
+        try {
+            reference = this.referenceParser.parse(text);
+        } catch (error) {
+            this.showReferenceError(error.message);
+            return false;
+        }
+
+        this.hideReferenceError();
+        this.clearSearch();
+
+        await this.navigateTo(reference.book, reference.chapter, reference.startVerse, reference.endVerse, reference.verseList);
+        return true;
     }
 
-    displayCurrentSelection() {
-        const { book, chapter, startVerse, endVerse } = this.currentSelection;
+    showReferenceError(message) {
+        if (!this.elements.referenceError) return;
+        this.elements.referenceError.textContent = message;
+        this.elements.referenceError.classList.remove('hidden');
+    }
+
+    hideReferenceError() {
+        if (this.elements.referenceError) this.elements.referenceError.classList.add('hidden');
+    }
+
+    focusVerse(verseNumber) {
+        if (!this.elements.verses) return;
+
+        const verseElement = this.elements.verses.querySelector(`.verse[data-verse="${verseNumber}"]`);
+        if (!verseElement) return;
+
+        verseElement.scrollIntoView({ block: 'center' });
+        verseElement.classList.add('verse-focus');
+        setTimeout(() => verseElement.classList.remove('verse-focus'), 2000);
+    }
+
+    async displayCurrentSelection() {
+        const { bible, book, chapter, startVerse, endVerse, verseList } = this.currentSelection;
         
         if (!book || !chapter) {
             this.showWelcome();
             return;
         }
 
+        const bibleData = this.bibleData;
+        if (!this.isBookLoaded(this.findBookByAbbrev(book))) this.showLoading();
+
+        try {
+            await Promise.all([
+                this.ensureBook(bibleData, bible, book),
+                ...this.parallelBibles
+                    .filter(filename => this.parallelData.has(filename))
+                    .map(filename => this.ensureBook(this.parallelData.get(filename), filename, book))
+            ]);
+        } catch (error) {
+            console.error(`Error loading ${book}:`, error);
+        }
+
+        // The reader moved on while the book was downloading
+        const current = this.currentSelection;
+        if (this.bibleData !== bibleData || current.book !== book || current.chapter !== chapter ||
+            current.startVerse !== startVerse || current.endVerse !== endVerse || current.verseList !== verseList) {
+            return;
+        }
+
         const bookData = this.findBookByAbbrev(book);
+        if (!this.isBookLoaded(bookData)) {
+            this.showError(`Could not download ${bookData ? bookData.name : book}. Check your connection and try again.`);
+            return;
+        }
+
         if (!bookData || !bookData.chapters || !bookData.chapters[chapter - 1]) {
             this.showError('Chapter data not found.');
             return;
@@ -273,16 +843,25 @@ class BibleApp {
         const end = endVerse || bookData.chapters[chapter - 1].length;
         
         const chapterVerses = bookData.chapters[chapter - 1];
-        const verses = this.getVerseRange(chapterVerses, start, end);
+        let verses = this.getVerseRange(chapterVerses, start, end);
+        
+        if (verseList) {
+            verses = verses.filter(v => verseList.includes(v.verse));
+        }
         
         if (verses.length === 0) {
             this.showError('No verses found for the specified range.');
             return;
         }
 
-        this.renderVerses(bookData.name, chapter, verses, start, end);
+        this.renderVerses(bookData.name, chapter, verses, this.getVerseLabel(start, end, chapterVerses.length));
+        this.displayedFetchedAt = bookData.fetchedAt || null;
+        this.renderDataAge();
         this.showReading();
         this.updateNavigationButtons();
+        this.syncUrl();
+        this.saveReadingPosition();
+        this.prefetchNextBook();
     }
 
     updateNavigationButtons() {
@@ -315,56 +894,465 @@ class BibleApp {
             book: null, 
             chapter: null,
             startVerse: null,
-            endVerse: null
+            endVerse: null,
+            verseList: null
         };
+        this.renderContinueReading();
+        this.renderTodayReading();
     }
 
-    // All the IndexedDB and discovery methods remain the same
-    async initIndexedDB() {
-        return new Promise((resolve, reject) => {
-            const request = indexedDB.open(this.dbName, this.dbVersion);
-            
-            request.onerror = () => {
-                console.warn('IndexedDB not available, will use direct JSON loading');
-                resolve();
-            };
-            
-            request.onsuccess = (event) => {
-                this.db = event.target.result;
-                resolve();
-            };
-            
-            request.onupgradeneeded = (event) => {
-                const db = event.target.result;
-                
-                if (!db.objectStoreNames.contains('bibles')) {
-                    const store = db.createObjectStore('bibles', { keyPath: 'filename' });
-                    store.createIndex('language', 'language', { unique: false });
-                }
-            };
-        });
+    // Switching translations - the passage is matched by canonical book and mapped
+    // through the versification of both translations
+    getCurrentPassage() {
+        const { bible, book, chapter, startVerse, endVerse, verseList } = this.currentSelection;
+        const bookData = this.findBookByAbbrev(book);
+        if (!bible || !bookData || !chapter) return null;
+
+        const reading = this.elements.reading && !this.elements.reading.classList.contains('hidden');
+        return {
+            bible,
+            book,
+            bookName: bookData.name,
+            // Book order of the translation being left, to find the nearest book it shares with the next one
+            bookOrder: this.bibleData.map(entry => entry.abbrev),
+            chapter,
+            startVerse,
+            endVerse,
+            verseList,
+            topVerse: reading ? this.getTopVisibleVerse() : null
+        };
     }
 
-    async getBibleFromCache(filename) {
-        if (!this.db) return null;
-        
-        return new Promise((resolve) => {
-            const transaction = this.db.transaction(['bibles'], 'readonly');
-            const store = transaction.objectStore('bibles');
-            const request = store.get(filename);
-            
-            request.onsuccess = () => {
-                resolve(request.result?.data || null);
-            };
-            
-            request.onerror = () => {
-                resolve(null);
-            };
-        });
+    // Table entry for a translation's book: its abbrev, else any known name or alias
+    getCanonicalBook(abbrev, name = null) {
+        const direct = BIBLE_BOOKS.find(book => book.abbrev === abbrev);
+        if (direct) return direct;
+
+        const keys = [abbrev, name].filter(Boolean).map(key => ReferenceParser.normalizeBookKey(key));
+        return BIBLE_BOOKS.find(book =>
+            keys.some(key => book.aliases.includes(key) || book.names.some(bookName => ReferenceParser.normalizeBookKey(bookName) === key))
+        ) || null;
     }
 
-    async cacheBible(filename, data) {
-        if (!this.db) return;
+    // Same abbrev, then the same canonical book under another abbrev, then the same
+    // position when both files list the same number of books
+    findMatchingBook(passage) {
+        const direct = this.findBookByAbbrev(passage.book);
+        if (direct) return direct;
+
+        const canonical = this.getCanonicalBook(passage.book, passage.bookName);
+        if (canonical) {
+            const match = this.bibleData.find(book => this.getCanonicalBook(book.abbrev, book.name) === canonical);
+            if (match) return match;
+        }
+
+        const index = passage.bookOrder.indexOf(passage.book);
+        if (passage.bookOrder.length === this.bibleData.length && index !== -1 && !canonical) {
+            return this.bibleData[index];
+        }
+        return null;
+    }
+
+    // Closest book of the old translation that the new one has, looking ahead first
+    findNearestBook(passage) {
+        const index = passage.bookOrder.indexOf(passage.book);
+
+        for (let distance = 1; distance < passage.bookOrder.length; distance++) {
+            for (const candidate of [passage.bookOrder[index + distance], passage.bookOrder[index - distance]]) {
+                const match = candidate && this.findMatchingBook({ ...passage, book: candidate, bookName: null });
+                if (match) return match;
+            }
+        }
+        return this.bibleData[0];
+    }
+
+    async openPassage(passage) {
+        const bookData = this.findMatchingBook(passage);
+
+        if (!bookData) {
+            const nearest = this.findNearestBook(passage);
+            await this.navigateTo(nearest.abbrev, 1);
+            this.showSwitchNotice(passage, nearest);
+            return;
+        }
+
+        const fromScheme = this.getVersification(passage.bible);
+        const toScheme = this.getVersification(this.currentSelection.bible);
+        const canonicalAbbrev = (this.getCanonicalBook(bookData.abbrev, bookData.name) || bookData).abbrev;
+        const map = verse => Versification.mapNearest({ book: canonicalAbbrev, chapter: passage.chapter, verse }, fromScheme, toScheme);
+
+        const start = map(passage.startVerse || 1);
+        const chapter = Math.min(Math.max(start.chapter, 1), bookData.chapters.length);
+        const chapterLength = bookData.chapters[chapter - 1].length;
+        const inChapter = reference => reference && reference.chapter === chapter && reference.verse <= chapterLength ? reference.verse : null;
+
+        let startVerse = passage.startVerse ? inChapter(start) : null;
+        let endVerse = passage.endVerse ? inChapter(map(passage.endVerse)) : null;
+        let verseList = passage.verseList
+            ? passage.verseList.map(verse => inChapter(map(verse))).filter(Boolean)
+            : null;
+
+        if (verseList && verseList.length === 0) verseList = null;
+        if (startVerse && endVerse && endVerse < startVerse) endVerse = null;
+        if (!startVerse) endVerse = null;
+
+        await this.navigateTo(bookData.abbrev, chapter, startVerse, endVerse, verseList);
+
+        // Keep the verse at the top of the screen in view
+        const top = passage.topVerse ? inChapter(map(passage.topVerse)) : null;
+        if (top && !startVerse) this.restoreScrollPosition({ topVerse: top, scrollY: 0 });
+    }
+
+    describeMissingBook(passage) {
+        const bibleInfo = this.availableBibles.find(bible => bible.filename === this.currentSelection.bible);
+        const bibleName = bibleInfo ? bibleInfo.name : 'this translation';
+        const canonical = this.getCanonicalBook(passage.book, passage.bookName);
+
+        // Outside the 66-book table, so likely deuterocanonical; only say more when the
+        // translation indeed has no such books at all
+        if (!canonical) {
+            const hasOtherBooks = this.bibleData.some(book => !this.getCanonicalBook(book.abbrev, book.name));
+            return hasOtherBooks
+                ? `${passage.bookName} is not in ${bibleName}.`
+                : `${passage.bookName} is not in ${bibleName}, which has no books beyond the 66-book Protestant canon (such as the deuterocanonical books).`;
+        }
+
+        const hasTestament = this.bibleData.some(book => {
+            const entry = this.getCanonicalBook(book.abbrev, book.name);
+            return entry && entry.testament === canonical.testament;
+        });
+        if (!hasTestament) {
+            return `${passage.bookName} is not in ${bibleName}, which only has the ${canonical.testament === 'ot' ? 'New' : 'Old'} Testament.`;
+        }
+
+        return `${passage.bookName} is not in ${bibleName}.`;
+    }
+
+    showSwitchNotice(passage, nearest) {
+        if (!this.elements.switchNotice) return;
+
+        const previous = this.availableBibles.find(bible => bible.filename === passage.bible);
+        this.switchBackPassage = passage;
+
+        this.elements.switchNoticeText.textContent = `${this.describeMissingBook(passage)} Showing ${nearest.name}, the nearest book it has.`;
+        this.elements.switchBackBtn.textContent = `Back to ${previous ? previous.name : 'the previous translation'}`;
+        this.elements.switchNotice.classList.remove('hidden');
+    }
+
+    hideSwitchNotice() {
+        if (this.elements.switchNotice) this.elements.switchNotice.classList.add('hidden');
+    }
+
+    // Reopens the exact passage in the translation that had it
+    async switchBack() {
+        const passage = this.switchBackPassage;
+        if (!passage) return;
+
+        this.switchBackPassage = null;
+        this.pendingPassage = passage;
+        this.elements.bibleSelect.value = passage.bible;
+        await this.handleSelectionChange('bible', passage.bible);
+    }
+
+    // Reading position - saved per translation in localStorage
+    getReadingPositions() {
+        try {
+            const positions = JSON.parse(localStorage.getItem(this.positionsKey));
+            return positions && typeof positions === 'object' ? positions : {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    getReadingPosition(bible) {
+        return this.getReadingPositions()[bible] || null;
+    }
+
+    saveReadingPosition() {
+        const { bible, book, chapter, startVerse, endVerse, verseList } = this.currentSelection;
+        if (!bible || !book || !chapter) return;
+        if (!this.elements.reading || this.elements.reading.classList.contains('hidden')) return;
+
+        const bookData = this.findBookByAbbrev(book);
+        const positions = this.getReadingPositions();
+
+        positions[bible] = {
+            book,
+            bookName: bookData ? bookData.name : book,
+            chapter,
+            startVerse,
+            endVerse,
+            verseList,
+            topVerse: this.getTopVisibleVerse(),
+            scrollY: window.scrollY,
+            savedAt: Date.now()
+        };
+
+        try {
+            localStorage.setItem(this.positionsKey, JSON.stringify(positions));
+            localStorage.setItem(this.lastBibleKey, bible);
+        } catch (error) {
+            console.warn('Could not save reading position:', error);
+        }
+    }
+
+    // First verse still on screen - survives font size changes better than a pixel offset
+    getTopVisibleVerse() {
+        if (!this.elements.verses) return null;
+
+        const verseElements = this.elements.verses.querySelectorAll('.verse');
+        for (const verseElement of verseElements) {
+            if (verseElement.getBoundingClientRect().bottom > 0) {
+                return parseInt(verseElement.dataset.verse, 10) || null;
+            }
+        }
+        return null;
+    }
+
+    restoreScrollPosition(saved) {
+        const verseElement = saved.topVerse && this.elements.verses
+            ? this.elements.verses.querySelector(`.verse[data-verse="${saved.topVerse}"]`)
+            : null;
+
+        if (verseElement && saved.topVerse > 1) {
+            verseElement.scrollIntoView({ block: 'start' });
+        } else {
+            window.scrollTo(0, saved.scrollY || 0);
+        }
+    }
+
+    renderContinueReading() {
+        if (!this.elements.continueReading) return;
+
+        const lastBible = localStorage.getItem(this.lastBibleKey);
+        const saved = lastBible ? this.getReadingPosition(lastBible) : null;
+        const bibleInfo = this.availableBibles.find(bible => bible.filename === lastBible);
+
+        if (!saved || !bibleInfo) {
+            this.elements.continueReading.classList.add('hidden');
+            this.updateWelcomeMessage();
+            return;
+        }
+
+        let reference = `${saved.bookName} ${saved.chapter}`;
+        if (saved.verseList) {
+            reference += `:${ReferenceParser.formatVerseList(saved.verseList)}`;
+        } else if (saved.startVerse) {
+            reference += saved.endVerse && saved.endVerse !== saved.startVerse
+                ? `:${saved.startVerse}-${saved.endVerse}`
+                : `:${saved.startVerse}`;
+        }
+
+        if (this.elements.continueReadingRef) this.elements.continueReadingRef.textContent = reference;
+        if (this.elements.continueReadingBible) this.elements.continueReadingBible.textContent = bibleInfo.name;
+
+        this.elements.continueReading.classList.remove('hidden');
+        this.updateWelcomeMessage();
+    }
+
+    // The prompt to pick a Bible gives way to the continue reading and today's reading cards
+    updateWelcomeMessage() {
+        if (!this.elements.welcomeMessage) return;
+
+        const cards = [this.elements.continueReading, this.elements.todayReading];
+        const hasCard = cards.some(card => card && !card.classList.contains('hidden'));
+        this.elements.welcomeMessage.classList.toggle('hidden', hasCard);
+    }
+
+    async continueReading() {
+        const lastBible = localStorage.getItem(this.lastBibleKey);
+        const saved = lastBible ? this.getReadingPosition(lastBible) : null;
+        if (!saved) return;
+
+        this.elements.bibleSelect.value = lastBible;
+        await this.handleSelectionChange('bible', lastBible);
+        this.restoreScrollPosition(saved);
+    }
+
+    // All the IndexedDB and discovery methods remain the same
+    async initIndexedDB() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, this.dbVersion);
+            
+            request.onerror = () => {
+                console.warn('IndexedDB not available, will use direct JSON loading');
+                resolve();
+            };
+            
+            request.onsuccess = (event) => {
+                this.db = event.target.result;
+                resolve();
+            };
+            
+            request.onupgradeneeded = (event) => {
+                const db = event.target.result;
+                
+                if (!db.objectStoreNames.contains('bibles')) {
+                    const store = db.createObjectStore('bibles', { keyPath: 'filename' });
+                    store.createIndex('language', 'language', { unique: false });
+                }
+
+                // v2: persistent full-text search index, one entry per translation
+                if (!db.objectStoreNames.contains('searchIndex')) {
+                    db.createObjectStore('searchIndex', { keyPath: 'filename' });
+                }
+
+                // v3: verse bookmarks
+                if (!db.objectStoreNames.contains('bookmarks')) {
+                    const store = db.createObjectStore('bookmarks', { keyPath: 'id' });
+                    store.createIndex('folder', 'folder', { unique: false });
+                }
+
+                // v4: verse highlights
+                if (!db.objectStoreNames.contains('highlights')) {
+                    const store = db.createObjectStore('highlights', { keyPath: 'id' });
+                    store.createIndex('color', 'color', { unique: false });
+                }
+
+                // v5: split format - translation index and individually cached books
+                if (!db.objectStoreNames.contains('bibleIndexes')) {
+                    db.createObjectStore('bibleIndexes', { keyPath: 'filename' });
+                }
+                if (!db.objectStoreNames.contains('bibleBooks')) {
+                    db.createObjectStore('bibleBooks', { keyPath: ['filename', 'abbrev'] });
+                }
+
+                // v6: reading plans - definition, start date and completed days per plan
+                if (!db.objectStoreNames.contains('readingPlans')) {
+                    db.createObjectStore('readingPlans', { keyPath: 'id' });
+                }
+            };
+        });
+    }
+
+    // Generic helpers for the personal data and book stores
+    async dbGet(storeName, key) {
+        if (!this.db) return null;
+        
+        return new Promise((resolve) => {
+            try {
+                const transaction = this.db.transaction([storeName], 'readonly');
+                const request = transaction.objectStore(storeName).get(key);
+                request.onsuccess = () => resolve(request.result || null);
+                request.onerror = () => resolve(null);
+            } catch (error) {
+                console.warn(`Failed to read ${storeName}:`, error);
+                resolve(null);
+            }
+        });
+    }
+
+    async dbGetAll(storeName) {
+        if (!this.db) return [];
+        
+        return new Promise((resolve) => {
+            try {
+                const request = this.db.transaction([storeName], 'readonly').objectStore(storeName).getAll();
+                request.onsuccess = () => resolve(request.result || []);
+                request.onerror = () => resolve([]);
+            } catch (error) {
+                console.warn(`Failed to read ${storeName}:`, error);
+                resolve([]);
+            }
+        });
+    }
+
+    async dbPut(storeName, value) {
+        if (!this.db) return;
+        
+        return new Promise((resolve) => {
+            try {
+                const transaction = this.db.transaction([storeName], 'readwrite');
+                transaction.objectStore(storeName).put(value);
+                transaction.oncomplete = () => resolve();
+                transaction.onerror = () => {
+                    console.warn(`Failed to save to ${storeName}:`, transaction.error);
+                    resolve();
+                };
+            } catch (error) {
+                console.warn(`Failed to save to ${storeName}:`, error);
+                resolve();
+            }
+        });
+    }
+
+    async dbGetKeys(storeName) {
+        if (!this.db) return [];
+        
+        return new Promise((resolve) => {
+            try {
+                const transaction = this.db.transaction([storeName], 'readonly');
+                const request = transaction.objectStore(storeName).getAllKeys();
+                request.onsuccess = () => resolve(request.result || []);
+                request.onerror = () => resolve([]);
+            } catch (error) {
+                console.warn(`Failed to read ${storeName} keys:`, error);
+                resolve([]);
+            }
+        });
+    }
+
+    async dbClear(storeName) {
+        if (!this.db) return;
+        
+        return new Promise((resolve) => {
+            try {
+                const transaction = this.db.transaction([storeName], 'readwrite');
+                transaction.objectStore(storeName).clear();
+                transaction.oncomplete = () => resolve();
+                transaction.onerror = () => resolve();
+            } catch (error) {
+                console.warn(`Failed to clear ${storeName}:`, error);
+                resolve();
+            }
+        });
+    }
+
+    async dbDelete(storeName, key) {
+        if (!this.db) return;
+        
+        return new Promise((resolve) => {
+            try {
+                const transaction = this.db.transaction([storeName], 'readwrite');
+                transaction.objectStore(storeName).delete(key);
+                transaction.oncomplete = () => resolve();
+                transaction.onerror = () => resolve();
+            } catch (error) {
+                console.warn(`Failed to delete from ${storeName}:`, error);
+                resolve();
+            }
+        });
+    }
+
+    // A full copy saved before the translation changed on the server is ignored, so the
+    // caller loads the new text instead. Without a catalog hash (offline) any copy will do.
+    async getBibleFromCache(filename) {
+        if (!this.db) return null;
+        
+        const bibleInfo = this.availableBibles.find(bible => bible.filename === filename);
+        const hash = bibleInfo ? bibleInfo.hash : null;
+        
+        return new Promise((resolve) => {
+            const transaction = this.db.transaction(['bibles'], 'readonly');
+            const store = transaction.objectStore('bibles');
+            const request = store.get(filename);
+            
+            request.onsuccess = () => {
+                const record = request.result;
+                const current = record?.data && (!hash || record.hash === hash);
+                resolve(current ? this.stampFetchedAt(record.data, record.cached_at) : null);
+            };
+            
+            request.onerror = () => {
+                resolve(null);
+            };
+        });
+    }
+
+    // hash is the sha256 of the text as received, not the catalog's, which can already
+    // name a newer version than an old service worker still serves
+    async cacheBible(filename, data, cachedAt = Date.now(), hash = null) {
+        if (!this.db) return;
         
         try {
             const transaction = this.db.transaction(['bibles'], 'readwrite');
@@ -373,13 +1361,79 @@ class BibleApp {
             await store.put({
                 filename,
                 data,
-                cached_at: Date.now()
+                hash,
+                cached_at: cachedAt
             });
         } catch (error) {
             console.warn('Failed to cache Bible data:', error);
         }
     }
 
+    async getSearchIndexFromCache(filename) {
+        if (!this.db) return null;
+        
+        return new Promise((resolve) => {
+            try {
+                const transaction = this.db.transaction(['searchIndex'], 'readonly');
+                const request = transaction.objectStore('searchIndex').get(filename);
+                
+                request.onsuccess = () => {
+                    resolve(request.result?.index || null);
+                };
+                
+                request.onerror = () => {
+                    resolve(null);
+                };
+            } catch (error) {
+                resolve(null);
+            }
+        });
+    }
+
+    async cacheSearchIndex(filename, index) {
+        if (!this.db) return;
+        
+        try {
+            const transaction = this.db.transaction(['searchIndex'], 'readwrite');
+            transaction.objectStore('searchIndex').put({
+                filename,
+                index,
+                built_at: Date.now()
+            });
+        } catch (error) {
+            console.warn('Failed to cache search index:', error);
+        }
+    }
+
+    // Load the stored index, or (when build is set) build it once the Bible content has changed.
+    // Building needs every book, so it waits for the first search.
+    async prepareSearchIndex(filename, bibleData, build) {
+        // Let the first chapter render before doing heavy work
+        await new Promise(resolve => setTimeout(resolve, 0));
+        
+        const bibleInfo = this.availableBibles.find(bible => bible.filename === filename);
+        let signature = bibleInfo && bibleInfo.hash ? BibleSearch.hashSignature(bibleInfo.hash) : null;
+        let index = await this.getSearchIndexFromCache(filename);
+        
+        if (!signature || !BibleSearch.isUsableIndex(index, signature)) {
+            if (!build) return;
+            
+            await this.loadAllBooks(bibleData, filename);
+            signature = signature || BibleSearch.contentSignature(bibleData);
+            
+            if (!BibleSearch.isUsableIndex(index, signature)) {
+                console.log(`Building search index for ${filename}...`);
+                index = BibleSearch.buildIndex(bibleData, signature);
+                await this.cacheSearchIndex(filename, index);
+            }
+        }
+        
+        // Ignore the result if the user switched Bibles meanwhile
+        if (this.bibleData === bibleData) {
+            this.bibleSearch = new BibleSearch(bibleData, index);
+        }
+    }
+
     async getBibleFilesFromServiceWorker() {
         try {
             if ('serviceWorker' in navigator) {
@@ -432,33 +1486,46 @@ class BibleApp {
         return null;
     }
 
-    async discoverBibles() {
-        console.log('Discovering Bible files...');
-        
-        let bibleFiles = await this.getBibleFilesFromServiceWorker();
-        
-        if (bibleFiles.length === 0) {
-            const commonFiles = ['/es_rvr.json', '/ru_synodal.json', '/en_kjv.json', '/zh_cuv.json'];
+    async getBibleCatalog() {
+        try {
+            const response = await fetch('/api/bibles');
+            if (!response.ok) return null;
             
-            for (const file of commonFiles) {
-                try {
-                    const response = await fetch(file, { method: 'HEAD' });
-                    if (response.ok) bibleFiles.push(file);
-                } catch (e) {}
-            }
+            const catalog = await response.json();
+            return Array.isArray(catalog) ? catalog : null;
+        } catch (error) {
+            console.warn('Could not load Bible catalog:', error);
+            return null;
         }
+    }
+
+    async discoverBibles() {
+        console.log('Discovering Bible files...');
         
         this.availableBibles = [];
         
-        for (const file of bibleFiles) {
-            const bibleInfo = this.parseBibleFilename(file);
-            if (bibleInfo) {
-                try {
-                    const response = await fetch(bibleInfo.filename, { method: 'HEAD' });
-                    if (response.ok) {
-                        this.availableBibles.push(bibleInfo);
-                    }
-                } catch (e) {}
+        // Server catalog is the source of truth (cached by the service worker for offline use)
+        const catalog = await this.getBibleCatalog();
+        
+        if (catalog) {
+            this.availableBibles = catalog.map(entry => ({
+                filename: entry.url,
+                language: entry.language,
+                version: entry.version,
+                name: entry.name,
+                books: entry.books,
+                versification: entry.versification || null,
+                size: entry.size,
+                hash: entry.hash
+            }));
+        } else {
+            // Catalog unreachable - fall back to whatever the service worker has cached
+            const bibleFiles = await this.getBibleFilesFromServiceWorker();
+            
+            for (const file of bibleFiles) {
+                // Use the path so IndexedDB keys match the catalog's urls
+                const bibleInfo = this.parseBibleFilename(new URL(file, location.origin).pathname);
+                if (bibleInfo) this.availableBibles.push(bibleInfo);
             }
         }
         
@@ -467,55 +1534,229 @@ class BibleApp {
             return;
         }
         
+        await this.refreshOfflineStatus();
         this.populateLanguageFilter();
         this.populateBibleSelect();
     }
 
-    async loadSelectedBible(filename) {
-        this.showLoading();
+    // IndexedDB first, then network
+    async fetchBibleData(filename) {
+        let bibleData = await this.getBibleFromCache(filename);
         
-        try {
-            let bibleData = await this.getBibleFromCache(filename);
-            
-            if (!bibleData) {
-                const response = await fetch(filename);
-                if (!response.ok) {
-                    throw new Error(`Failed to load ${filename} (${response.status})`);
-                }
-                bibleData = await response.json();
-                await this.cacheBible(filename, bibleData);
+        if (!bibleData) {
+            const response = await fetch(filename);
+            if (!response.ok) {
+                throw new Error(`Failed to load ${filename} (${response.status})`);
             }
-            
-            this.bibleData = bibleData;
-            this.populateBookSelect();
-            this.hideLoading();
-            
-        } catch (error) {
-            console.error('Error loading Bible:', error);
-            this.showError(`Failed to load Bible: ${error.message}`);
+            const buffer = await response.arrayBuffer();
+            bibleData = JSON.parse(new TextDecoder().decode(buffer));
+            const fetchedAt = this.getResponseDate(response);
+            await this.cacheBible(filename, bibleData, fetchedAt, await this.sha256Hex(buffer));
+            this.stampFetchedAt(bibleData, fetchedAt);
         }
+        
+        return bibleData;
     }
 
-    populateLanguageFilter() {
-        if (!this.elements.languageSelect) return;
-        
-        const languages = [...new Set(this.availableBibles.map(bible => bible.language))];
-        this.elements.languageSelect.innerHTML = '<option value="">All languages</option>';
-        
-        languages.forEach(lang => {
-            const option = document.createElement('option');
-            option.value = lang;
-            option.textContent = lang.toUpperCase();
-            this.elements.languageSelect.appendChild(option);
-        });
+    async sha256Hex(buffer) {
+        if (!window.crypto || !crypto.subtle) return null;
+        const digest = await crypto.subtle.digest('SHA-256', buffer);
+        return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
     }
 
-    populateBibleSelect() {
-        this.filterBiblesByLanguage();
+    // When a response left the server - a cached copy keeps its original Date header
+    getResponseDate(response) {
+        const date = Date.parse(response.headers.get('Date'));
+        return Number.isNaN(date) ? Date.now() : Math.min(date, Date.now());
     }
 
-    filterBiblesByLanguage() {
-        if (!this.elements.languageSelect || !this.elements.bibleSelect) return;
+    stampFetchedAt(bibleData, fetchedAt) {
+        if (Array.isArray(bibleData)) {
+            bibleData.forEach(book => {
+                book.fetchedAt = fetchedAt;
+            });
+        }
+        return bibleData;
+    }
+
+    // Split format: the index gives every book with empty chapters of the right
+    // length, so selectors and references work before any text is downloaded.
+    // Books are filled in by ensureBook().
+    async loadBibleIndex(filename) {
+        const fullData = await this.getBibleFromCache(filename);
+        if (fullData) return fullData;
+
+        const bibleInfo = this.availableBibles.find(bible => bible.filename === filename);
+        const hash = bibleInfo ? bibleInfo.hash : null;
+        let index = await this.dbGet('bibleIndexes', filename);
+
+        if (!index || (hash && index.hash !== hash)) {
+            try {
+                const response = await fetch(`/api/bibles/${encodeURIComponent(this.getPackId({ filename }))}/index`);
+                if (!response.ok) throw new Error(`Index request failed (${response.status})`);
+
+                const data = await response.json();
+                index = { filename, hash: data.hash, books: data.books, cached_at: Date.now() };
+                await this.dbPut('bibleIndexes', index);
+            } catch (error) {
+                // Older cached index, or the whole file (served by the service worker when downloaded)
+                console.warn(`Could not load index for ${filename}:`, error);
+                if (!index) return this.fetchBibleData(filename);
+            }
+        }
+
+        return index.books.map(book => ({
+            abbrev: book.abbrev,
+            name: book.name,
+            chapters: book.verses.map(count => new Array(count)),
+            loaded: false
+        }));
+    }
+
+    isBookLoaded(bookData) {
+        return Boolean(bookData) && bookData.loaded !== false;
+    }
+
+    // Download one book of a translation (once), from IndexedDB or the book endpoint
+    async ensureBook(bibleData, filename, abbrev) {
+        const bookData = Array.isArray(bibleData) ? bibleData.find(book => book.abbrev === abbrev) : null;
+        if (!bookData || this.isBookLoaded(bookData)) return bookData || null;
+
+        const key = `${filename}|${abbrev}`;
+        if (!this.bookRequests.has(key)) {
+            const request = this.fetchBook(filename, abbrev)
+                .then(({ chapters, fetchedAt }) => {
+                    bookData.chapters = chapters;
+                    bookData.fetchedAt = fetchedAt;
+                    bookData.loaded = true;
+                })
+                .catch(async error => {
+                    // Book endpoint unreachable - the whole file may still be available offline
+                    console.warn(`Could not load ${abbrev} from ${filename}, trying the full file:`, error);
+                    await this.loadAllBooks(bibleData, filename);
+                })
+                .finally(() => this.bookRequests.delete(key));
+            this.bookRequests.set(key, request);
+        }
+
+        await this.bookRequests.get(key);
+        return bookData;
+    }
+
+    async fetchBook(filename, abbrev) {
+        const bibleInfo = this.availableBibles.find(bible => bible.filename === filename);
+        const hash = bibleInfo ? bibleInfo.hash : null;
+
+        const cached = await this.dbGet('bibleBooks', [filename, abbrev]);
+        if (cached && (!hash || cached.hash === hash)) return { chapters: cached.chapters, fetchedAt: cached.cached_at };
+
+        const id = encodeURIComponent(this.getPackId({ filename }));
+        const response = await fetch(`/api/bibles/${id}/books/${encodeURIComponent(abbrev)}`);
+        if (!response.ok) {
+            throw new Error(`Failed to load ${abbrev} (${response.status})`);
+        }
+
+        const book = await response.json();
+        const fetchedAt = this.getResponseDate(response);
+        await this.dbPut('bibleBooks', { filename, abbrev, hash: book.hash, chapters: book.chapters, cached_at: fetchedAt });
+        return { chapters: book.chapters, fetchedAt };
+    }
+
+    // Fill every missing book from the full translation file
+    async loadAllBooks(bibleData, filename) {
+        if (!Array.isArray(bibleData) || bibleData.every(book => this.isBookLoaded(book))) return;
+
+        const fullData = await this.fetchBibleData(filename);
+        bibleData.forEach(bookData => {
+            if (this.isBookLoaded(bookData)) return;
+            const source = fullData.find(book => book.abbrev === bookData.abbrev);
+            if (source) {
+                bookData.chapters = source.chapters;
+                bookData.fetchedAt = source.fetchedAt;
+                bookData.loaded = true;
+            }
+        });
+    }
+
+    // Load the books behind a list of references, for previews; true if any arrived
+    async ensureBooks(abbrevs) {
+        if (!this.bibleData) return false;
+
+        const missing = [...new Set(abbrevs)].filter(abbrev => {
+            const bookData = this.findBookByAbbrev(abbrev);
+            return bookData && !this.isBookLoaded(bookData);
+        });
+
+        const bibleData = this.bibleData;
+        await Promise.all(missing.map(abbrev =>
+            this.ensureBook(bibleData, this.currentSelection.bible, abbrev).catch(error => {
+                console.warn(`Could not load ${abbrev}:`, error);
+            })
+        ));
+
+        return missing.length > 0 && this.bibleData === bibleData;
+    }
+
+    // Sequential reading: fetch the next book while the last chapters are read
+    prefetchNextBook() {
+        const { bible, book, chapter } = this.currentSelection;
+        const index = this.bibleData ? this.bibleData.findIndex(entry => entry.abbrev === book) : -1;
+        if (index === -1 || index >= this.bibleData.length - 1) return;
+        if (chapter < this.bibleData[index].chapters.length - 1) return;
+
+        const nextBook = this.bibleData[index + 1];
+        if (this.isBookLoaded(nextBook)) return;
+
+        this.ensureBook(this.bibleData, bible, nextBook.abbrev).catch(error => {
+            console.warn(`Could not prefetch ${nextBook.abbrev}:`, error);
+        });
+    }
+
+    async loadSelectedBible(filename) {
+        this.showLoading();
+        
+        try {
+            const bibleData = await this.loadBibleIndex(filename);
+            this.detectVersification(filename, bibleData);
+            
+            this.bibleData = bibleData;
+            this.bibleSearch = null;
+            this.searchIndexBuild = null;
+            this.referenceParser = new ReferenceParser(bibleData);
+            this.resetSearch();
+            this.searchIndexReady = this.prepareSearchIndex(filename, bibleData, false).catch(error => {
+                console.error('Error preparing search index:', error);
+            });
+            this.populateBookSelect();
+            await this.loadParallelBibles();
+            this.hideLoading();
+            
+        } catch (error) {
+            console.error('Error loading Bible:', error);
+            this.showError(`Failed to load Bible: ${error.message}`);
+        }
+    }
+
+    populateLanguageFilter() {
+        if (!this.elements.languageSelect) return;
+        
+        const languages = [...new Set(this.availableBibles.map(bible => bible.language))];
+        this.elements.languageSelect.innerHTML = '<option value="">All languages</option>';
+        
+        languages.forEach(lang => {
+            const option = document.createElement('option');
+            option.value = lang;
+            option.textContent = lang.toUpperCase();
+            this.elements.languageSelect.appendChild(option);
+        });
+    }
+
+    populateBibleSelect() {
+        this.filterBiblesByLanguage();
+    }
+
+    filterBiblesByLanguage() {
+        if (!this.elements.languageSelect || !this.elements.bibleSelect) return;
         
         const selectedLanguage = this.elements.languageSelect.value;
         const filteredBibles = selectedLanguage 
@@ -527,7 +1768,7 @@ class BibleApp {
         filteredBibles.forEach(bible => {
             const option = document.createElement('option');
             option.value = bible.filename;
-            option.textContent = bible.name;
+            option.textContent = this.getBibleLabel(bible);
             this.elements.bibleSelect.appendChild(option);
         });
 
@@ -623,15 +1864,23 @@ class BibleApp {
         return allVerses.filter(v => v.verse >= start && v.verse <= end);
     }
 
-    renderVerses(bookName, chapterNumber, verses, startVerse, endVerse) {
+    // Verse part of the title: null for a whole chapter, "16", "16-18" or "16,18,20-22"
+    getVerseLabel(start, end, chapterLength) {
+        const { verseList } = this.currentSelection;
+        
+        if (verseList) return ReferenceParser.formatVerseList(verseList);
+        if (start === 1 && end === chapterLength) return null;
+        if (start === end) return `${start}`;
+        return `${start}-${end}`;
+    }
+
+    renderVerses(bookName, chapterNumber, verses, verseLabel = null) {
         if (!this.elements.chapterTitle || !this.elements.verses) return;
 
         let title = `${bookName} ${chapterNumber}`;
         
-        if (startVerse === endVerse) {
-            title += `:${startVerse}`;
-        } else if (startVerse !== 1 || endVerse !== verses.length + startVerse - 1) {
-            title += `:${startVerse}-${endVerse}`;
+        if (verseLabel) {
+            title += `:${verseLabel}`;
         }
         
         this.elements.chapterTitle.textContent = title;
@@ -639,71 +1888,1944 @@ class BibleApp {
         this.elements.verses.innerHTML = '';
         this.elements.verses.className = `font-${this.currentFontSize}`;
         
+        const columns = this.getParallelColumns();
+        if (columns.length > 1) {
+            this.renderParallelVerses(columns, verses);
+            return;
+        }
+        
         verses.forEach(verse => {
             const verseElement = document.createElement('div');
             verseElement.className = 'verse';
+            verseElement.dataset.verse = verse.verse;
             verseElement.innerHTML = `
                 <span class="verse-number">${verse.verse}</span>
                 <span class="verse-text">${verse.text}</span>
             `;
+            this.appendVerseActions(verseElement);
             this.elements.verses.appendChild(verseElement);
         });
     }
 
-    // UI state management
-    showControls() {
-        if (this.elements.controls) this.elements.controls.classList.remove('hidden');
+    appendVerseActions(verseElement) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'verse-bookmark';
+        verseElement.appendChild(button);
+        this.updateVerseMarks(verseElement);
     }
 
-    hideControls() {
-        if (this.elements.controls) this.elements.controls.classList.add('hidden');
-        this.hideChapterControls();
+    // Reflect saved personal data on a rendered verse
+    updateVerseMarks(verseElement) {
+        const { book, chapter } = this.currentSelection;
+        const standard = this.toStandardVerse(book, chapter, parseInt(verseElement.dataset.verse, 10));
+        const id = this.getBookmarkId(standard.book, standard.chapter, standard.verse);
+        const bookmarked = this.bookmarks.has(id);
+        const button = verseElement.querySelector('.verse-bookmark');
+
+        verseElement.classList.toggle('bookmarked', bookmarked);
+
+        const highlight = this.highlights.get(id);
+        this.highlightColors.forEach(color => {
+            verseElement.classList.toggle(`highlight-${color}`, Boolean(highlight) && highlight.color === color);
+        });
+
+        if (button) {
+            button.textContent = bookmarked ? '★' : '☆';
+            button.setAttribute('aria-label', bookmarked ? 'Edit bookmark' : 'Bookmark this verse');
+            button.setAttribute('aria-pressed', bookmarked ? 'true' : 'false');
+        }
     }
 
-    showChapterSelect() {
-        if (this.elements.chapterSelect) this.elements.chapterSelect.classList.remove('hidden');
+    refreshVerseMarks() {
+        if (!this.elements.verses) return;
+        this.elements.verses.querySelectorAll('.verse').forEach(verseElement => this.updateVerseMarks(verseElement));
     }
 
-    hideChapterSelect() {
-        if (this.elements.chapterSelect) this.elements.chapterSelect.classList.add('hidden');
+    // Versification - the catalog says how each translation numbers its verses;
+    // translations listed without it (offline fallback) are detected from their verse counts
+    detectVersification(filename, bibleData) {
+        const bibleInfo = this.availableBibles.find(bible => bible.filename === filename);
+        if (bibleInfo && !bibleInfo.versification) {
+            bibleInfo.versification = Versification.detect(bibleData);
+        }
     }
 
-    hideChapterControls() {
-        this.hideChapterSelect();
-        this.hideVerseControls();
+    getVersification(filename) {
+        const bibleInfo = this.availableBibles.find(bible => bible.filename === filename);
+        return bibleInfo && bibleInfo.versification ? bibleInfo.versification : 'kjv';
     }
 
-    showVerseControls() {
-        if (this.elements.verseControls) this.elements.verseControls.classList.remove('hidden');
+    // Bookmarks and highlights are stored in KJV numbering so they land on the same
+    // verse in every translation; a Psalm title shares the key of the verse after it
+    toStandardVerse(book, chapter, verse) {
+        return Versification.mapNearest({ book, chapter, verse }, this.getVersification(this.currentSelection.bible), 'kjv');
     }
 
-    hideVerseControls() {
-        if (this.elements.verseControls) this.elements.verseControls.classList.add('hidden');
+    fromStandardVerse(record) {
+        const { book, chapter, verse } = record;
+        return Versification.map({ book, chapter, verse }, 'kjv', this.getVersification(this.currentSelection.bible));
     }
 
-    showWelcome() {
-        const states = { welcome: false, reading: true, loading: true, error: true };
-        this.setViewState(states);
+    // Parallel view
+    getParallelColumns() {
+        const { bible, book, chapter } = this.currentSelection;
+        if (!bible || !book || !chapter || this.parallelBibles.length === 0) return [];
+
+        const filenames = [bible, ...this.parallelBibles.filter(filename => filename !== bible)];
+
+        return filenames
+            .filter(filename => filename === bible || this.parallelData.has(filename))
+            .map(filename => {
+                const data = filename === bible ? this.bibleData : this.parallelData.get(filename);
+                const bibleInfo = this.availableBibles.find(info => info.filename === filename);
+                // Match by abbrev - display names differ between languages
+                const bookData = Array.isArray(data) ? data.find(entry => entry.abbrev === book) : null;
+
+                return {
+                    bible: filename,
+                    name: bibleInfo ? bibleInfo.name : filename,
+                    bookName: bookData ? bookData.name : null,
+                    versification: this.getVersification(filename),
+                    chapters: this.isBookLoaded(bookData) ? bookData.chapters : null,
+                    verses: this.isBookLoaded(bookData) ? bookData.chapters[chapter - 1] || null : null
+                };
+            });
     }
 
-    showLoading() {
-        const states = { welcome: true, reading: true, loading: false, error: true };
-        this.setViewState(states);
+    // The verse of a parallel column that matches a verse of the selected translation.
+    // Columns numbered the same way line up by number, the others go through the mapping.
+    getParallelVerse(column, chapter, verse) {
+        const { bible, book } = this.currentSelection;
+        const primary = this.getVersification(bible);
+        if (!column.chapters) return null;
+
+        let reference = { chapter, verse };
+        if (column.versification !== primary) {
+            // Past the end of the selected chapter there is nothing to map from
+            const chapterLength = this.findBookByAbbrev(book)?.chapters?.[chapter - 1]?.length || 0;
+            if (verse > chapterLength) return null;
+            reference = Versification.map({ book, chapter, verse }, primary, column.versification);
+            if (!reference) return null;
+        }
+
+        const text = column.chapters[reference.chapter - 1]?.[reference.verse - 1];
+        return text === undefined ? null : { ...reference, text };
     }
 
-    hideLoading() {
-        if (this.elements.loading) this.elements.loading.classList.add('hidden');
+    // One row per verse of the selected translation; other translations follow its numbering
+    renderParallelVerses(columns, verses) {
+        const { bible, chapter, startVerse, endVerse, verseList } = this.currentSelection;
+        const primary = this.getVersification(bible);
+        const start = startVerse || 1;
+        const longest = Math.max(...columns
+            .filter(column => column.versification === primary)
+            .map(column => column.verses ? column.verses.length : 0));
+        const end = endVerse || longest;
+
+        const container = document.createElement('div');
+        container.className = 'parallel-view';
+        container.style.setProperty('--parallel-columns', columns.length);
+
+        const header = document.createElement('div');
+        header.className = 'parallel-header';
+        columns.forEach(column => {
+            const cell = document.createElement('div');
+            cell.className = 'parallel-heading';
+            cell.textContent = column.bookName ? `${column.name} · ${column.bookName}` : column.name;
+            header.appendChild(cell);
+        });
+        container.appendChild(header);
+
+        for (let number = start; number <= end; number++) {
+            if (verseList && !verseList.includes(number)) continue;
+
+            const row = document.createElement('div');
+            row.className = 'verse parallel-row';
+            row.dataset.verse = number;
+
+            columns.forEach(column => {
+                const cell = document.createElement('div');
+                cell.className = 'parallel-cell';
+                cell.dataset.bible = column.bible;
+
+                const label = document.createElement('span');
+                label.className = 'parallel-label';
+                label.textContent = column.name;
+                cell.appendChild(label);
+
+                const match = this.getParallelVerse(column, chapter, number);
+
+                if (!match) {
+                    cell.classList.add('parallel-missing');
+                    cell.appendChild(document.createTextNode(column.verses ? '—' : 'Book not in this translation'));
+                } else {
+                    // Numbered differently: show where the verse is in that translation
+                    const label = match.chapter !== chapter ? `${match.chapter}:${match.verse}` : match.verse;
+                    cell.innerHTML += `
+                        <span class="verse-number">${label}</span>
+                        <span class="verse-text">${match.text}</span>
+                    `;
+                }
+
+                row.appendChild(cell);
+            });
+
+            this.appendVerseActions(row);
+            container.appendChild(row);
+        }
+
+        this.elements.verses.appendChild(container);
     }
 
-    showReading() {
-        const states = { welcome: true, reading: false, loading: true, error: true };
-        this.setViewState(states);
+    async loadParallelBibles() {
+        if (this.parallelBibles.length === 0) {
+            this.parallelBibles = this.loadParallelPreference();
+        }
+
+        // Keep only translations that still exist, never the primary one
+        this.parallelBibles = this.parallelBibles
+            .filter(filename => filename !== this.currentSelection.bible)
+            .filter(filename => this.availableBibles.some(bible => bible.filename === filename))
+            .slice(0, this.maxParallelBibles);
+
+        for (const filename of this.parallelBibles) {
+            if (this.parallelData.has(filename)) continue;
+            try {
+                const data = await this.loadBibleIndex(filename);
+                this.detectVersification(filename, data);
+                this.parallelData.set(filename, data);
+            } catch (error) {
+                console.warn(`Could not load parallel Bible ${filename}:`, error);
+            }
+        }
+
+        this.populateParallelSelect();
     }
 
-    showError(message) {
-        const states = { welcome: true, reading: true, loading: true, error: false };
-        this.setViewState(states);
-        if (this.elements.errorMessage) this.elements.errorMessage.textContent = message;
+    async addParallelBible(filename) {
+        if (this.parallelBibles.includes(filename) || this.parallelBibles.length >= this.maxParallelBibles) return;
+
+        this.parallelBibles.push(filename);
+        this.saveParallelPreference();
+        await this.loadParallelBibles();
+
+        if (this.currentSelection.book && this.currentSelection.chapter) {
+            await this.displayCurrentSelection();
+        }
+    }
+
+    removeParallelBible(filename) {
+        this.parallelBibles = this.parallelBibles.filter(entry => entry !== filename);
+        this.parallelData.delete(filename);
+        this.saveParallelPreference();
+        this.populateParallelSelect();
+
+        if (this.currentSelection.book && this.currentSelection.chapter) {
+            this.displayCurrentSelection();
+        }
+    }
+
+    populateParallelSelect() {
+        if (!this.elements.parallelSelect) return;
+
+        const candidates = this.availableBibles.filter(bible =>
+            bible.filename !== this.currentSelection.bible && !this.parallelBibles.includes(bible.filename)
+        );
+
+        this.elements.parallelSelect.innerHTML = '<option value="">Compare with...</option>';
+        candidates.forEach(bible => {
+            const option = document.createElement('option');
+            option.value = bible.filename;
+            option.textContent = bible.name;
+            this.elements.parallelSelect.appendChild(option);
+        });
+        this.elements.parallelSelect.value = '';
+        this.elements.parallelSelect.disabled = candidates.length === 0 || this.parallelBibles.length >= this.maxParallelBibles;
+
+        if (!this.elements.parallelChips) return;
+
+        this.elements.parallelChips.innerHTML = '';
+        this.parallelBibles.forEach(filename => {
+            const bibleInfo = this.availableBibles.find(bible => bible.filename === filename);
+            const chip = document.createElement('button');
+            chip.type = 'button';
+            chip.className = 'parallel-chip';
+            chip.textContent = `${bibleInfo ? bibleInfo.name : filename} ✕`;
+            chip.setAttribute('aria-label', `Stop comparing with ${bibleInfo ? bibleInfo.name : filename}`);
+            chip.addEventListener('click', () => this.removeParallelBible(filename));
+            this.elements.parallelChips.appendChild(chip);
+        });
+    }
+
+    loadParallelPreference() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.parallelKey));
+            return Array.isArray(saved) ? saved : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    saveParallelPreference() {
+        localStorage.setItem(this.parallelKey, JSON.stringify(this.parallelBibles));
+    }
+
+    // Bookmarks
+    getBookmarkId(book, chapter, verse) {
+        return `${book}.${chapter}.${verse}`;
+    }
+
+    async loadBookmarks() {
+        const records = await this.dbGetAll('bookmarks');
+        this.bookmarks = new Map(records.map(record => [record.id, record]));
+    }
+
+    async toggleBookmark(verse) {
+        const { bible, book, chapter } = this.currentSelection;
+        if (!book || !chapter || !verse) return;
+
+        const standard = this.toStandardVerse(book, chapter, verse);
+        const id = this.getBookmarkId(standard.book, standard.chapter, standard.verse);
+
+        // Starred verses open the panel for editing instead of being removed by accident
+        if (this.bookmarks.has(id)) {
+            this.showBookmarks(id);
+            return;
+        }
+
+        const bookData = this.findBookByAbbrev(book);
+        const now = Date.now();
+        const bookmark = {
+            id,
+            book,
+            chapter: standard.chapter,
+            verse: standard.verse,
+            bible,
+            bookName: bookData ? bookData.name : book,
+            folder: '',
+            note: '',
+            createdAt: now,
+            updatedAt: now
+        };
+
+        this.bookmarks.set(id, bookmark);
+        await this.dbPut('bookmarks', bookmark);
+        this.refreshVerseMarks();
+    }
+
+    async updateBookmark(id, changes) {
+        const bookmark = this.bookmarks.get(id);
+        if (!bookmark) return;
+
+        Object.assign(bookmark, changes, { updatedAt: Date.now() });
+        await this.dbPut('bookmarks', bookmark);
+        this.populateBookmarkFolders();
+    }
+
+    async deleteBookmark(id) {
+        this.bookmarks.delete(id);
+        await this.dbDelete('bookmarks', id);
+        this.renderBookmarks();
+        this.refreshVerseMarks();
+    }
+
+    async openBookmark(bookmark) {
+        if (!this.bibleData) {
+            this.showError('Select a Bible to open this bookmark.');
+            return;
+        }
+
+        if (!this.findBookByAbbrev(bookmark.book)) {
+            this.showError(`${bookmark.bookName} is not in this Bible.`);
+            return;
+        }
+
+        const target = this.fromStandardVerse(bookmark);
+        await this.navigateTo(target.book, target.chapter);
+        this.focusVerse(target.verse);
+    }
+
+    showBookmarks(focusId = null) {
+        this.populateBookmarkFolders();
+        this.renderBookmarks();
+        this.showView('bookmarks');
+
+        // Verse previews appear once their books are downloaded
+        this.ensureBooks([...this.bookmarks.values()].map(bookmark => bookmark.book)).then(loaded => {
+            const visible = this.elements.bookmarks && !this.elements.bookmarks.classList.contains('hidden');
+            if (loaded && visible && !this.elements.bookmarks.contains(document.activeElement)) this.renderBookmarks();
+        });
+
+        if (focusId && this.elements.bookmarkList) {
+            const item = this.elements.bookmarkList.querySelector(`[data-id="${focusId}"]`);
+            if (item) {
+                item.scrollIntoView({ block: 'center' });
+                const note = item.querySelector('.bookmark-note');
+                if (note) note.focus();
+            }
+        }
+    }
+
+    getBookmarkFolders() {
+        return [...new Set([...this.bookmarks.values()].map(bookmark => bookmark.folder).filter(Boolean))].sort();
+    }
+
+    populateBookmarkFolders() {
+        const folders = this.getBookmarkFolders();
+
+        if (this.elements.bookmarkFolders) {
+            this.elements.bookmarkFolders.innerHTML = '';
+            folders.forEach(folder => {
+                const option = document.createElement('option');
+                option.value = folder;
+                this.elements.bookmarkFolders.appendChild(option);
+            });
+        }
+
+        if (this.elements.bookmarkFolderFilter) {
+            const selected = this.elements.bookmarkFolderFilter.value;
+            this.elements.bookmarkFolderFilter.innerHTML = '<option value="">All folders</option>';
+            folders.forEach(folder => {
+                const option = document.createElement('option');
+                option.value = folder;
+                option.textContent = folder;
+                this.elements.bookmarkFolderFilter.appendChild(option);
+            });
+            this.elements.bookmarkFolderFilter.value = folders.includes(selected) ? selected : '';
+        }
+    }
+
+    // Reference shown with the loaded translation's book name when it has the book
+    getBookmarkReference(bookmark) {
+        const bookData = this.findBookByAbbrev(bookmark.book);
+        const bookName = bookData ? bookData.name : bookmark.bookName;
+        const { chapter, verse } = this.fromStandardVerse(bookmark);
+        return `${bookName} ${chapter}:${verse}`;
+    }
+
+    getBookmarkText(bookmark) {
+        const bookData = this.findBookByAbbrev(bookmark.book);
+        if (!this.isBookLoaded(bookData)) return '';
+        const { chapter, verse } = this.fromStandardVerse(bookmark);
+        return bookData.chapters[chapter - 1]?.[verse - 1] || '';
+    }
+
+    renderBookmarks() {
+        if (!this.elements.bookmarkList) return;
+
+        const filter = BibleSearch.normalize(this.elements.bookmarkFilter ? this.elements.bookmarkFilter.value.trim() : '');
+        const folder = this.elements.bookmarkFolderFilter ? this.elements.bookmarkFolderFilter.value : '';
+
+        const bookmarks = [...this.bookmarks.values()]
+            .filter(bookmark => !folder || bookmark.folder === folder)
+            .filter(bookmark => {
+                if (!filter) return true;
+                const haystack = [this.getBookmarkReference(bookmark), bookmark.folder, bookmark.note].join(' ');
+                return BibleSearch.normalize(haystack).includes(filter);
+            })
+            .sort((a, b) => b.updatedAt - a.updatedAt);
+
+        this.elements.bookmarkList.innerHTML = '';
+
+        if (this.elements.bookmarksEmpty) {
+            this.elements.bookmarksEmpty.textContent = this.bookmarks.size === 0
+                ? 'No bookmarks yet. Tap ☆ next to a verse to save it.'
+                : 'No bookmarks match this filter.';
+            this.elements.bookmarksEmpty.classList.toggle('hidden', bookmarks.length > 0);
+        }
+
+        bookmarks.forEach(bookmark => {
+            const item = document.createElement('li');
+            item.className = 'bookmark-item';
+            item.dataset.id = bookmark.id;
+
+            const reference = document.createElement('button');
+            reference.type = 'button';
+            reference.className = 'bookmark-ref';
+            reference.textContent = this.getBookmarkReference(bookmark);
+            reference.addEventListener('click', () => this.openBookmark(bookmark));
+            item.appendChild(reference);
+
+            const text = this.getBookmarkText(bookmark);
+            if (text) {
+                const preview = document.createElement('p');
+                preview.className = 'bookmark-text';
+                preview.textContent = text;
+                item.appendChild(preview);
+            }
+
+            const folderInput = document.createElement('input');
+            folderInput.type = 'text';
+            folderInput.className = 'bookmark-folder';
+            folderInput.placeholder = 'Folder or tag';
+            folderInput.value = bookmark.folder;
+            folderInput.setAttribute('list', 'bookmarkFolders');
+            folderInput.setAttribute('aria-label', 'Folder or tag');
+            folderInput.addEventListener('change', () => {
+                this.updateBookmark(bookmark.id, { folder: folderInput.value.trim() });
+            });
+            item.appendChild(folderInput);
+
+            const note = document.createElement('textarea');
+            note.className = 'bookmark-note';
+            note.placeholder = 'Note';
+            note.rows = 2;
+            note.value = bookmark.note;
+            note.setAttribute('aria-label', 'Note');
+            note.addEventListener('change', () => {
+                this.updateBookmark(bookmark.id, { note: note.value });
+            });
+            item.appendChild(note);
+
+            const actions = document.createElement('div');
+            actions.className = 'bookmark-actions';
+
+            const date = document.createElement('span');
+            date.className = 'bookmark-date';
+            date.textContent = new Date(bookmark.createdAt).toLocaleDateString();
+            actions.appendChild(date);
+
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.className = 'bookmark-delete';
+            remove.textContent = 'Delete';
+            remove.addEventListener('click', () => this.deleteBookmark(bookmark.id));
+            actions.appendChild(remove);
+
+            item.appendChild(actions);
+            this.elements.bookmarkList.appendChild(item);
+        });
+    }
+
+    // Highlights
+    async loadHighlights() {
+        const records = await this.dbGetAll('highlights');
+        this.highlights = new Map(records.map(record => [record.id, record]));
+    }
+
+    // Verses touched by the current text selection inside the reading view
+    updateSelectedVerses() {
+        const selection = window.getSelection();
+        this.selectedVerses = [];
+
+        if (selection && !selection.isCollapsed && selection.rangeCount > 0 && this.elements.verses) {
+            const range = selection.getRangeAt(0);
+            this.elements.verses.querySelectorAll('.verse').forEach(verseElement => {
+                if (range.intersectsNode(verseElement)) {
+                    this.selectedVerses.push(parseInt(verseElement.dataset.verse, 10));
+                }
+            });
+        }
+
+        if (this.elements.highlightToolbar) {
+            this.elements.highlightToolbar.classList.toggle('hidden', this.selectedVerses.length === 0);
+        }
+    }
+
+    // color = null removes the highlight
+    async applyHighlight(color) {
+        const { bible, book, chapter } = this.currentSelection;
+        const verses = [...this.selectedVerses];
+        if (!book || !chapter || verses.length === 0) return;
+
+        const bookData = this.findBookByAbbrev(book);
+        const now = Date.now();
+        const changed = [];
+
+        verses.forEach(verse => {
+            const standard = this.toStandardVerse(book, chapter, verse);
+            const id = this.getBookmarkId(standard.book, standard.chapter, standard.verse);
+
+            if (!color) {
+                this.highlights.delete(id);
+                changed.push({ id, highlight: null });
+                return;
+            }
+
+            const existing = this.highlights.get(id);
+            const highlight = {
+                id,
+                book,
+                chapter: standard.chapter,
+                verse: standard.verse,
+                bible,
+                bookName: bookData ? bookData.name : book,
+                color,
+                createdAt: existing ? existing.createdAt : now,
+                updatedAt: now
+            };
+
+            this.highlights.set(id, highlight);
+            changed.push({ id, highlight });
+        });
+
+        window.getSelection().removeAllRanges();
+        this.selectedVerses = [];
+        if (this.elements.highlightToolbar) this.elements.highlightToolbar.classList.add('hidden');
+        this.refreshVerseMarks();
+
+        for (const { id, highlight } of changed) {
+            if (highlight) {
+                await this.dbPut('highlights', highlight);
+            } else {
+                await this.dbDelete('highlights', id);
+            }
+        }
+    }
+
+    showHighlights() {
+        this.renderHighlights();
+        this.showView('highlights');
+
+        this.ensureBooks([...this.highlights.values()].map(highlight => highlight.book)).then(loaded => {
+            const visible = this.elements.highlights && !this.elements.highlights.classList.contains('hidden');
+            if (loaded && visible) this.renderHighlights();
+        });
+    }
+
+    // Book position for sorting - loaded translation first, canonical table otherwise
+    getBookOrder(abbrev) {
+        const index = this.bibleData ? this.bibleData.findIndex(book => book.abbrev === abbrev) : -1;
+        if (index !== -1) return index;
+
+        const canonical = BIBLE_BOOKS.findIndex(book => book.abbrev === abbrev);
+        return canonical !== -1 ? canonical : Number.MAX_SAFE_INTEGER;
+    }
+
+    // Grouped by color, then book; consecutive verses of a chapter merge into one range
+    renderHighlights() {
+        if (!this.elements.highlightGroups) return;
+
+        this.elements.highlightGroups.innerHTML = '';
+        if (this.elements.highlightsEmpty) {
+            this.elements.highlightsEmpty.classList.toggle('hidden', this.highlights.size > 0);
+        }
+
+        this.highlightColors.forEach(color => {
+            // Ranges are built in the numbering of the translation being read
+            const entries = [...this.highlights.values()]
+                .filter(highlight => highlight.color === color)
+                .map(highlight => ({ ...highlight, ...this.fromStandardVerse(highlight) }))
+                .sort((a, b) => this.getBookOrder(a.book) - this.getBookOrder(b.book) || a.chapter - b.chapter || a.verse - b.verse);
+
+            if (entries.length === 0) return;
+
+            const section = document.createElement('section');
+            section.className = 'highlight-group';
+
+            const heading = document.createElement('h3');
+            heading.className = `highlight-swatch highlight-${color}`;
+            heading.textContent = `${color.charAt(0).toUpperCase()}${color.slice(1)} (${entries.length})`;
+            section.appendChild(heading);
+
+            let currentBook = null;
+            let list = null;
+
+            this.groupHighlightRanges(entries).forEach(range => {
+                if (range.book !== currentBook) {
+                    currentBook = range.book;
+                    const bookData = this.findBookByAbbrev(range.book);
+                    const bookHeading = document.createElement('h4');
+                    bookHeading.textContent = bookData ? bookData.name : range.bookName;
+                    section.appendChild(bookHeading);
+
+                    list = document.createElement('ul');
+                    list.className = 'highlight-list';
+                    section.appendChild(list);
+                }
+
+                const item = document.createElement('li');
+                const link = document.createElement('button');
+                link.type = 'button';
+                link.className = 'bookmark-ref';
+                link.textContent = range.start === range.end
+                    ? `${range.chapter}:${range.start}`
+                    : `${range.chapter}:${range.start}-${range.end}`;
+                link.addEventListener('click', () => this.openHighlight(range));
+                item.appendChild(link);
+
+                const bookData = this.findBookByAbbrev(range.book);
+                const verses = this.isBookLoaded(bookData) ? bookData.chapters[range.chapter - 1] : null;
+                if (verses) {
+                    const preview = document.createElement('p');
+                    preview.className = 'bookmark-text';
+                    preview.textContent = verses.slice(range.start - 1, range.end).join(' ');
+                    item.appendChild(preview);
+                }
+
+                list.appendChild(item);
+            });
+
+            this.elements.highlightGroups.appendChild(section);
+        });
+    }
+
+    groupHighlightRanges(entries) {
+        const ranges = [];
+
+        entries.forEach(entry => {
+            const last = ranges[ranges.length - 1];
+            if (last && last.book === entry.book && last.chapter === entry.chapter && last.end === entry.verse - 1) {
+                last.end = entry.verse;
+            } else {
+                ranges.push({ book: entry.book, bookName: entry.bookName, chapter: entry.chapter, start: entry.verse, end: entry.verse });
+            }
+        });
+
+        return ranges;
+    }
+
+    async openHighlight(range) {
+        if (!this.bibleData) {
+            this.showError('Select a Bible to open this highlight.');
+            return;
+        }
+
+        if (!this.findBookByAbbrev(range.book)) {
+            this.showError(`${range.bookName} is not in this Bible.`);
+            return;
+        }
+
+        await this.navigateTo(range.book, range.chapter);
+        this.focusVerse(range.start);
+    }
+
+    // Offline downloads
+    getBibleLabel(bible) {
+        return bible.offline ? `${bible.name} (offline)` : bible.name;
+    }
+
+    formatBytes(bytes) {
+        if (!bytes) return '0 KB';
+        if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+        if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+        return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`;
+    }
+
+    // Ask the controlling service worker; null when there is none (first visit, unsupported)
+    async postToServiceWorker(message, timeout = 2000, worker = null) {
+        if (!('serviceWorker' in navigator)) return null;
+        const target = worker || navigator.serviceWorker.controller;
+        if (!target) return null;
+
+        return new Promise((resolve) => {
+            const messageChannel = new MessageChannel();
+            messageChannel.port1.onmessage = (event) => resolve(event.data);
+            target.postMessage(message, [messageChannel.port2]);
+            setTimeout(() => resolve(null), timeout);
+        });
+    }
+
+    // A translation is offline when its pack is downloaded or it was stored in IndexedDB while reading
+    async refreshOfflineStatus() {
+        const reply = await this.postToServiceWorker({ type: 'PACK_STATUS' });
+        const storedFiles = await this.dbGetKeys('bibles');
+
+        if (reply && Array.isArray(reply.packs)) {
+            reply.packs.forEach(pack => {
+                const current = this.packStatus.get(pack.url) || {};
+                this.packStatus.set(pack.url, { ...current, ...pack });
+            });
+        }
+
+        this.availableBibles.forEach(bible => {
+            const pack = this.packStatus.get(bible.filename);
+            bible.offline = Boolean(pack && pack.installed) || storedFiles.includes(bible.filename);
+        });
+
+        this.updateOfflineMarks();
+    }
+
+    updateOfflineMarks() {
+        if (!this.elements.bibleSelect) return;
+
+        [...this.elements.bibleSelect.options].forEach(option => {
+            const bible = this.availableBibles.find(candidate => candidate.filename === option.value);
+            if (bible) option.textContent = this.getBibleLabel(bible);
+        });
+    }
+
+    async showDownloads() {
+        this.showView('downloads');
+        this.renderDownloads();
+        await this.refreshOfflineStatus();
+        this.renderDownloads();
+        await this.updateStorageEstimate();
+    }
+
+    async updateStorageEstimate() {
+        if (!this.elements.storageEstimate) return;
+
+        if (!navigator.storage || !navigator.storage.estimate) {
+            this.elements.storageEstimate.textContent = 'Storage usage is not available in this browser.';
+            return;
+        }
+
+        try {
+            const { usage, quota } = await navigator.storage.estimate();
+            this.elements.storageEstimate.textContent = `Using ${this.formatBytes(usage)} of ${this.formatBytes(quota)} available on this device.`;
+        } catch (error) {
+            console.warn('Could not estimate storage:', error);
+        }
+    }
+
+    getDownloadStatusText(bible, pack) {
+        if (pack && pack.state === 'downloading') {
+            const percent = pack.size ? Math.floor((pack.received / pack.size) * 100) : 0;
+            return `Downloading ${percent}% (${this.formatBytes(pack.received)} of ${this.formatBytes(pack.size)})`;
+        }
+        if (pack && pack.state === 'paused') return `Paused at ${this.formatBytes(pack.received)}`;
+        if (pack && pack.state === 'error') return `Failed: ${pack.error}`;
+        if (pack && pack.installed && !pack.upToDate) return 'Available offline (update pending)';
+        if (bible.offline) return 'Available offline';
+        return 'Not downloaded';
+    }
+
+    renderDownloads() {
+        if (!this.elements.downloadList) return;
+
+        this.elements.downloadList.innerHTML = '';
+        const managed = Boolean(navigator.serviceWorker && navigator.serviceWorker.controller);
+
+        this.availableBibles.forEach(bible => {
+            const pack = this.packStatus.get(bible.filename);
+            const downloading = pack && pack.state === 'downloading';
+            const paused = pack && (pack.state === 'paused' || pack.state === 'error');
+
+            const item = document.createElement('li');
+            item.className = 'download-item';
+            item.dataset.bible = bible.filename;
+
+            const name = document.createElement('span');
+            name.className = 'download-name';
+            name.textContent = bible.name;
+            item.appendChild(name);
+
+            const size = document.createElement('span');
+            size.className = 'download-size';
+            size.textContent = this.formatBytes(bible.size);
+            item.appendChild(size);
+
+            const status = document.createElement('span');
+            status.className = 'download-status';
+            status.textContent = this.getDownloadStatusText(bible, pack);
+            item.appendChild(status);
+
+            if (downloading || paused) {
+                const progress = document.createElement('progress');
+                progress.max = pack.size || 1;
+                progress.value = pack.received || 0;
+                item.appendChild(progress);
+            }
+
+            const actions = document.createElement('div');
+            actions.className = 'download-actions';
+
+            const addAction = (label, handler) => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.textContent = label;
+                button.addEventListener('click', handler);
+                actions.appendChild(button);
+            };
+
+            if (downloading) {
+                addAction('Pause', () => this.pauseDownload(bible));
+            } else if (paused) {
+                addAction('Resume', () => this.downloadBible(bible));
+            } else if (!bible.offline || (managed && !(pack && pack.installed))) {
+                addAction('Download', () => this.downloadBible(bible));
+            }
+
+            if (bible.offline || paused) {
+                addAction('Remove', () => this.removeDownload(bible));
+            }
+
+            item.appendChild(actions);
+            this.elements.downloadList.appendChild(item);
+        });
+    }
+
+    getPackId(bible) {
+        return bible.filename.split('/').pop().replace(/\.json$/i, '');
+    }
+
+    async downloadBible(bible) {
+        if (navigator.serviceWorker && navigator.serviceWorker.controller) {
+            navigator.serviceWorker.controller.postMessage({ type: 'DOWNLOAD_PACK', id: this.getPackId(bible) });
+            return;
+        }
+
+        // No service worker yet - keep a copy in IndexedDB instead
+        const status = { state: 'downloading', received: 0, size: bible.size };
+        this.packStatus.set(bible.filename, status);
+        this.renderDownloads();
+
+        try {
+            await this.fetchBibleData(bible.filename);
+            this.packStatus.delete(bible.filename);
+        } catch (error) {
+            console.error(`Error downloading ${bible.filename}:`, error);
+            this.packStatus.set(bible.filename, { ...status, state: 'error', error: error.message });
+        }
+
+        await this.refreshOfflineStatus();
+        this.renderDownloads();
+        await this.updateStorageEstimate();
+    }
+
+    pauseDownload(bible) {
+        if (navigator.serviceWorker && navigator.serviceWorker.controller) {
+            navigator.serviceWorker.controller.postMessage({ type: 'PAUSE_PACK', id: this.getPackId(bible) });
+        }
+    }
+
+    async removeDownload(bible) {
+        if (navigator.serviceWorker && navigator.serviceWorker.controller) {
+            navigator.serviceWorker.controller.postMessage({ type: 'REMOVE_PACK', id: this.getPackId(bible) });
+        }
+
+        await this.dbDelete('bibles', bible.filename);
+        await this.dbDelete('searchIndex', bible.filename);
+        await this.dbDelete('bibleIndexes', bible.filename);
+        await this.dbDelete('bibleBooks', IDBKeyRange.bound([bible.filename, ''], [bible.filename, '\uffff']));
+        this.packStatus.delete(bible.filename);
+
+        await this.refreshOfflineStatus();
+        this.renderDownloads();
+        await this.updateStorageEstimate();
+    }
+
+    handlePackProgress(message) {
+        const bible = this.availableBibles.find(candidate => this.getPackId(candidate) === message.id);
+        if (!bible) return;
+
+        const current = this.packStatus.get(bible.filename) || {};
+        const finished = message.state === 'installed' || message.state === 'removed';
+        this.packStatus.set(bible.filename, {
+            ...current,
+            state: finished ? 'idle' : message.state,
+            received: message.received,
+            size: message.total,
+            error: message.error || null
+        });
+
+        const visible = this.elements.downloads && !this.elements.downloads.classList.contains('hidden');
+
+        if (finished) {
+            this.refreshOfflineStatus().then(() => {
+                if (visible) {
+                    this.renderDownloads();
+                    this.updateStorageEstimate();
+                }
+            });
+        } else if (visible) {
+            this.renderDownloads();
+        }
+    }
+
+    // Reading plans - progress is saved per plan in IndexedDB, and the daily passages
+    // follow the translation being read (on the welcome screen, the last one read)
+    async loadReadingPlans() {
+        const records = await this.dbGetAll('readingPlans');
+        this.readingPlans = new Map(records.map(record => [record.id, record]));
+    }
+
+    getStartedPlans() {
+        return [...this.readingPlans.values()].filter(record => record.startDate);
+    }
+
+    getPlanBible() {
+        const filename = this.currentSelection.bible || localStorage.getItem(this.lastBibleKey);
+        return this.availableBibles.find(bible => bible.filename === filename) || null;
+    }
+
+    // Chapter counts of a translation's books, for ReadingPlans.schedule(). The split
+    // format index is enough, so this doesn't download any text.
+    async getPlanBooks(filename) {
+        let bibleData = filename === this.currentSelection.bible ? this.bibleData : null;
+        if (!bibleData) {
+            try {
+                bibleData = await this.loadBibleIndex(filename);
+            } catch (error) {
+                console.warn(`Could not load ${filename} for reading plans:`, error);
+                return null;
+            }
+        }
+        if (!Array.isArray(bibleData)) return null;
+
+        return bibleData.map(book => ({
+            key: (this.getCanonicalBook(book.abbrev, book.name) || book).abbrev,
+            abbrev: book.abbrev,
+            name: book.name,
+            chapters: book.chapters.length
+        }));
+    }
+
+    async renderTodayReading() {
+        if (!this.elements.todayReading || !this.elements.todayReadingList) return;
+
+        const requestId = ++this.todayReadingRequestId;
+        const started = this.getStartedPlans();
+        const bible = started.length > 0 ? this.getPlanBible() : null;
+        const books = bible ? await this.getPlanBooks(bible.filename) : null;
+        if (requestId !== this.todayReadingRequestId) return;
+
+        this.elements.todayReadingList.innerHTML = '';
+        started.forEach(record => {
+            this.elements.todayReadingList.appendChild(this.buildPlanDay(record, books, bible));
+        });
+
+        this.elements.todayReading.classList.toggle('hidden', started.length === 0);
+        this.updateWelcomeMessage();
+    }
+
+    // A started plan: how far along it is, the passages of its first unread day and
+    // buttons to mark that day read or catch up
+    buildPlanDay(record, books, bible) {
+        const progress = ReadingPlans.progress(record);
+
+        const item = document.createElement('li');
+        item.className = 'plan-item';
+        item.dataset.plan = record.id;
+
+        const name = document.createElement('span');
+        name.className = 'plan-name';
+        name.textContent = record.plan.name;
+        item.appendChild(name);
+
+        const status = document.createElement('span');
+        status.className = 'plan-status';
+        item.appendChild(status);
+
+        const actions = document.createElement('div');
+        actions.className = 'plan-actions';
+
+        const details = [`${progress.completed} of ${progress.total} days read`];
+        if (progress.streak > 0) details.push(`${progress.streak}-day streak`);
+
+        if (progress.finished) {
+            status.textContent = ['Plan complete', ...details].join(' · ');
+            item.appendChild(actions);
+            return item;
+        }
+
+        const day = progress.next;
+        const label = `Day ${day + 1} of ${progress.total}${day > progress.today ? ' (reading ahead)' : ''}`;
+        status.textContent = [label, ...details].join(' · ');
+
+        const passages = document.createElement('div');
+        passages.className = 'plan-passages';
+        item.appendChild(passages);
+
+        const addNote = text => {
+            const note = document.createElement('p');
+            note.className = 'plan-note';
+            note.textContent = text;
+            item.appendChild(note);
+        };
+
+        if (!books) {
+            passages.textContent = 'Select a Bible to see the passages.';
+        } else {
+            const schedule = ReadingPlans.schedule(record.plan, books);
+            schedule.days[day].forEach(passage => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'plan-passage';
+                button.textContent = ReadingPlans.formatPassage(passage);
+                button.addEventListener('click', () => this.openPlanPassage(bible.filename, passage));
+                passages.appendChild(button);
+            });
+
+            if (schedule.days[day].length === 0) passages.textContent = `Nothing to read on this day in ${bible.name}.`;
+            if (schedule.missing.length > 0) addNote(`Left out because ${bible.name} does not have them: ${schedule.missing.join(', ')}.`);
+        }
+
+        if (progress.behind > 0) {
+            const days = progress.behind === 1 ? '1 day' : `${progress.behind} days`;
+            addNote(`${days} behind. Read the days you missed, or catch up to move the rest of the plan so Day ${day + 1} is today.`);
+        }
+
+        this.addPlanAction(actions, `Mark day ${day + 1} as read`, () => this.completePlanDay(record.id, day), true);
+        if (progress.behind > 0) this.addPlanAction(actions, 'Catch up', () => this.catchUpReadingPlan(record.id));
+        item.appendChild(actions);
+
+        return item;
+    }
+
+    addPlanAction(container, label, handler, primary = false) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = primary ? 'panel-action' : '';
+        button.textContent = label;
+        button.addEventListener('click', handler);
+        container.appendChild(button);
+    }
+
+    async openPlanPassage(filename, passage) {
+        if (this.currentSelection.bible !== filename) {
+            this.elements.bibleSelect.value = filename;
+            await this.handleSelectionChange('bible', filename);
+        }
+        await this.navigateTo(passage.book, passage.startChapter);
+    }
+
+    async showReadingPlans() {
+        this.setPlanStatus('');
+        this.showView('readingPlans');
+        await this.renderReadingPlans();
+    }
+
+    setPlanStatus(message, isError = false) {
+        if (!this.elements.planStatus) return;
+        this.elements.planStatus.textContent = message;
+        this.elements.planStatus.classList.toggle('error', isError);
+    }
+
+    async renderReadingPlans() {
+        if (!this.elements.activePlanList || !this.elements.availablePlanList) return;
+
+        const requestId = ++this.planListRequestId;
+        const started = this.getStartedPlans();
+        const bible = started.length > 0 ? this.getPlanBible() : null;
+        const books = bible ? await this.getPlanBooks(bible.filename) : null;
+        if (requestId !== this.planListRequestId) return;
+
+        this.elements.activePlanList.innerHTML = '';
+        started.forEach(record => {
+            const item = this.buildPlanDay(record, books, bible);
+            const actions = item.querySelector('.plan-actions');
+            this.addPlanAction(actions, 'Export', () => this.exportReadingPlan(record.plan));
+            this.addPlanAction(actions, 'Stop', () => this.stopReadingPlan(record.id));
+            this.elements.activePlanList.appendChild(item);
+        });
+        if (this.elements.activePlansEmpty) this.elements.activePlansEmpty.classList.toggle('hidden', started.length > 0);
+
+        // Built-in plans not started, then imported plans not started
+        const available = [
+            ...ReadingPlans.builtIn().filter(plan => !this.readingPlans.has(plan.id)),
+            ...[...this.readingPlans.values()].filter(record => !record.startDate).map(record => record.plan)
+        ];
+
+        this.elements.availablePlanList.innerHTML = '';
+        available.forEach(plan => {
+            const item = document.createElement('li');
+            item.className = 'plan-item';
+            item.dataset.plan = plan.id;
+
+            const name = document.createElement('span');
+            name.className = 'plan-name';
+            name.textContent = plan.name;
+            item.appendChild(name);
+
+            const bookCount = new Set(plan.tracks.flat().map(range => range.book)).size;
+            const status = document.createElement('span');
+            status.className = 'plan-status';
+            status.textContent = `${plan.days} days · ${bookCount} ${bookCount === 1 ? 'book' : 'books'}`;
+            item.appendChild(status);
+
+            const actions = document.createElement('div');
+            actions.className = 'plan-actions';
+            this.addPlanAction(actions, 'Start', () => this.startReadingPlan(plan), true);
+            this.addPlanAction(actions, 'Export', () => this.exportReadingPlan(plan));
+            if (!ReadingPlans.isBuiltIn(plan.id)) this.addPlanAction(actions, 'Remove', () => this.removeReadingPlan(plan.id));
+            item.appendChild(actions);
+
+            this.elements.availablePlanList.appendChild(item);
+        });
+    }
+
+    async saveReadingPlan(record) {
+        this.readingPlans.set(record.id, record);
+        await this.dbPut('readingPlans', record);
+        await Promise.all([this.renderTodayReading(), this.renderReadingPlans()]);
+    }
+
+    async startReadingPlan(plan) {
+        const existing = this.readingPlans.get(plan.id);
+        const now = Date.now();
+
+        await this.saveReadingPlan({
+            id: plan.id,
+            plan,
+            startDate: ReadingPlans.toDateKey(new Date()),
+            completed: {},
+            createdAt: existing ? existing.createdAt : now,
+            updatedAt: now
+        });
+        this.setPlanStatus(`Started "${plan.name}". Day 1 is today.`);
+    }
+
+    async completePlanDay(id, day) {
+        const record = this.readingPlans.get(id);
+        if (!record) return;
+
+        await this.saveReadingPlan({
+            ...record,
+            completed: { ...record.completed, [day]: Date.now() },
+            updatedAt: Date.now()
+        });
+    }
+
+    async catchUpReadingPlan(id) {
+        const record = this.readingPlans.get(id);
+        if (!record) return;
+
+        const updated = ReadingPlans.catchUp(record);
+        const end = ReadingPlans.addDays(updated.startDate, record.plan.days - 1);
+        await this.saveReadingPlan({ ...updated, updatedAt: Date.now() });
+        this.setPlanStatus(`"${record.plan.name}" now ends on ${end}.`);
+    }
+
+    // Built-in plans are forgotten; imported ones stay available to start again
+    async stopReadingPlan(id) {
+        const record = this.readingPlans.get(id);
+        if (!record) return;
+        if (!window.confirm(`Stop "${record.plan.name}"? Your progress in it will be lost.`)) return;
+
+        if (ReadingPlans.isBuiltIn(id)) {
+            this.readingPlans.delete(id);
+            await this.dbDelete('readingPlans', id);
+            await Promise.all([this.renderTodayReading(), this.renderReadingPlans()]);
+        } else {
+            await this.saveReadingPlan({ ...record, startDate: null, completed: {}, updatedAt: Date.now() });
+        }
+        this.setPlanStatus(`Stopped "${record.plan.name}".`);
+    }
+
+    async removeReadingPlan(id) {
+        const record = this.readingPlans.get(id);
+        if (!record) return;
+
+        this.readingPlans.delete(id);
+        await this.dbDelete('readingPlans', id);
+        await this.renderReadingPlans();
+        this.setPlanStatus(`Removed "${record.plan.name}".`);
+    }
+
+    exportReadingPlan(plan) {
+        // A file that would not import again is no use on another device
+        if (!ReadingPlans.roundTrips(plan)) {
+            this.setPlanStatus(`"${plan.name}" could not be exported as a plan file that imports again.`, true);
+            return;
+        }
+
+        this.downloadJson(ReadingPlans.build(plan), `reading-plan-${plan.id}.json`);
+        this.setPlanStatus(`Exported "${plan.name}".`);
+    }
+
+    // Importing a plan that is already started (built-in or not) replaces its passages and keeps the progress
+    async importReadingPlan(file) {
+        if (!file) {
+            this.setPlanStatus('Choose a plan file first.', true);
+            return;
+        }
+
+        let plan;
+        try {
+            plan = ReadingPlans.parse(await file.text());
+        } catch (error) {
+            this.setPlanStatus(`Import failed: ${error.message}`, true);
+            return;
+        }
+
+        const existing = this.readingPlans.get(plan.id);
+        const now = Date.now();
+        const completed = {};
+        if (existing) {
+            Object.entries(existing.completed).forEach(([day, time]) => {
+                if (Number(day) < plan.days) completed[day] = time;
+            });
+        }
+
+        await this.saveReadingPlan({
+            id: plan.id,
+            plan,
+            startDate: existing ? existing.startDate : null,
+            completed,
+            createdAt: existing ? existing.createdAt : now,
+            updatedAt: now
+        });
+
+        if (this.elements.importPlanInput) this.elements.importPlanInput.value = '';
+        this.setPlanStatus(existing && existing.startDate
+            ? `Updated "${plan.name}" (${plan.days} days). Your progress is kept.`
+            : `Imported "${plan.name}" (${plan.days} days). Start it from the list above.`);
+    }
+
+    // Personal data export/import
+    showPersonalData() {
+        this.setDataStatus('');
+        this.showView('personalData');
+    }
+
+    setDataStatus(message) {
+        if (this.elements.dataStatus) this.elements.dataStatus.textContent = message;
+    }
+
+    getSettings() {
+        const settings = {};
+        this.settingsKeys.forEach(key => {
+            const value = localStorage.getItem(key);
+            if (value !== null) settings[key] = value;
+        });
+        return settings;
+    }
+
+    exportPersonalData() {
+        const archive = PersonalDataArchive.build({
+            bookmarks: [...this.bookmarks.values()],
+            highlights: [...this.highlights.values()],
+            settings: this.getSettings()
+        });
+
+        this.downloadJson(archive, `baiboly-backup-${new Date().toISOString().slice(0, 10)}.json`);
+        this.setDataStatus(`Exported ${archive.bookmarks.length} bookmarks and ${archive.highlights.length} highlights.`);
+    }
+
+    downloadJson(data, filename) {
+        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    async importPersonalData(file, mode) {
+        if (!file) {
+            this.setDataStatus('Choose a backup file first.');
+            return;
+        }
+
+        let archive;
+        try {
+            archive = PersonalDataArchive.parse(await file.text(), {
+                highlightColors: this.highlightColors,
+                fontSizes: this.fontSizes
+            });
+        } catch (error) {
+            this.showError(`Import failed: ${error.message}`);
+            return;
+        }
+
+        const replace = mode === 'replace';
+        const bookmarks = PersonalDataArchive.mergeRecords(replace ? [] : [...this.bookmarks.values()], archive.bookmarks);
+        const highlights = PersonalDataArchive.mergeRecords(replace ? [] : [...this.highlights.values()], archive.highlights);
+
+        if (replace) {
+            await this.dbClear('bookmarks');
+            await this.dbClear('highlights');
+        }
+
+        for (const bookmark of bookmarks.records) await this.dbPut('bookmarks', bookmark);
+        for (const highlight of highlights.records) await this.dbPut('highlights', highlight);
+
+        this.importSettings(archive.settings, replace);
+
+        await this.loadBookmarks();
+        await this.loadHighlights();
+        this.loadFontPreference();
+        this.refreshVerseMarks();
+        this.renderContinueReading();
+        this.showPersonalData();
+
+        const summary = [bookmarks, highlights].map(result =>
+            `${result.added} added, ${result.updated} updated, ${result.kept} kept`
+        );
+        this.setDataStatus(`Import complete (${replace ? 'replace' : 'merge'}). Bookmarks: ${summary[0]}. Highlights: ${summary[1]}.`);
+        if (this.elements.importDataInput) this.elements.importDataInput.value = '';
+    }
+
+    // Merge keeps local settings, except reading positions which merge per translation by date
+    importSettings(settings, replace) {
+        const keys = Object.keys(settings).filter(key => this.settingsKeys.includes(key));
+
+        if (replace) {
+            this.settingsKeys.forEach(key => localStorage.removeItem(key));
+            keys.forEach(key => localStorage.setItem(key, settings[key]));
+            return;
+        }
+
+        keys.forEach(key => {
+            if (key === this.positionsKey) {
+                let imported = {};
+                try {
+                    imported = JSON.parse(settings[key]) || {};
+                } catch (error) {
+                    return;
+                }
+
+                if (!imported || typeof imported !== 'object' || Array.isArray(imported)) return;
+
+                const positions = this.getReadingPositions();
+                Object.entries(imported).forEach(([bible, position]) => {
+                    if (!bible || !PersonalDataArchive.isReadingPosition(position)) return;
+                    if (!positions[bible] || (position.savedAt || 0) > (positions[bible].savedAt || 0)) {
+                        positions[bible] = position;
+                    }
+                });
+                localStorage.setItem(key, JSON.stringify(positions));
+            } else if (localStorage.getItem(key) === null) {
+                localStorage.setItem(key, settings[key]);
+            }
+        });
+    }
+
+    // Full-text search
+    async runSearch() {
+        if (!this.elements.searchInput) return;
+
+        const query = this.elements.searchInput.value.trim();
+        const requestId = ++this.searchRequestId;
+
+        if (query.length < this.minSearchLength) {
+            this.hideSearchResults();
+            return;
+        }
+
+        if (!this.bibleSearch && this.searchIndexReady) {
+            if (this.elements.searchSummary) this.elements.searchSummary.textContent = 'Preparing search index...';
+            if (this.elements.searchResultList) this.elements.searchResultList.innerHTML = '';
+            this.showSearchResults();
+            await this.searchIndexReady;
+            
+            // No stored index - download the remaining books and build one
+            if (!this.bibleSearch && this.bibleData) {
+                if (!this.searchIndexBuild) {
+                    this.searchIndexBuild = this.prepareSearchIndex(this.currentSelection.bible, this.bibleData, true).catch(error => {
+                        console.error('Error building search index:', error);
+                    });
+                }
+                await this.searchIndexBuild;
+            }
+        }
+
+        // A newer keystroke has taken over
+        if (requestId !== this.searchRequestId) return;
+
+        if (!this.bibleSearch) {
+            this.showError('Load a Bible before searching.');
+            return;
+        }
+
+        const { terms, total, results, error } = this.bibleSearch.search(query);
+
+        if (error) {
+            if (this.elements.searchSummary) this.elements.searchSummary.textContent = `Invalid search: ${error}`;
+            if (this.elements.searchResultList) this.elements.searchResultList.innerHTML = '';
+            this.showSearchResults();
+            return;
+        }
+
+        // A stored index can point into books that are not downloaded yet
+        if (results.some(result => result.text === undefined)) {
+            await this.ensureBooks(results.map(result => result.book));
+            if (requestId !== this.searchRequestId) return;
+            
+            results.forEach(result => {
+                const bookData = this.findBookByAbbrev(result.book);
+                result.text = bookData?.chapters?.[result.chapter - 1]?.[result.verse - 1] || '';
+            });
+        }
+
+        this.renderSearchResults(query, terms, total, results);
+        this.showSearchResults();
+    }
+
+    renderSearchResults(query, terms, total, results) {
+        if (!this.elements.searchResultList) return;
+
+        if (this.elements.searchSummary) {
+            this.elements.searchSummary.textContent = total === 0
+                ? `No results for "${query}"`
+                : total > results.length
+                    ? `Showing ${results.length} of ${total} results for "${query}"`
+                    : `${total} result${total === 1 ? '' : 's'} for "${query}"`;
+        }
+
+        this.elements.searchResultList.innerHTML = '';
+
+        results.forEach(result => {
+            const item = document.createElement('li');
+            item.className = 'search-result';
+            item.tabIndex = 0;
+
+            const reference = document.createElement('span');
+            reference.className = 'search-result-ref';
+            reference.textContent = `${result.bookName} ${result.chapter}:${result.verse}`;
+            item.appendChild(reference);
+
+            const text = document.createElement('span');
+            BibleSearch.highlightSegments(result.text, terms).forEach(segment => {
+                if (segment.match) {
+                    const mark = document.createElement('mark');
+                    mark.textContent = segment.text;
+                    text.appendChild(mark);
+                } else {
+                    text.appendChild(document.createTextNode(segment.text));
+                }
+            });
+            item.appendChild(text);
+
+            const open = () => this.openSearchResult(result);
+            item.addEventListener('click', open);
+            item.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') open();
+            });
+
+            this.elements.searchResultList.appendChild(item);
+        });
+    }
+
+    async openSearchResult(result) {
+        await this.navigateTo(result.book, result.chapter);
+        this.focusVerse(result.verse);
+    }
+
+    hideSearchResults() {
+        if (this.elements.searchResults && this.elements.searchResults.classList.contains('hidden')) return;
+        this.showCurrentContent();
+    }
+
+    // Back from a panel to whatever was being read
+    showCurrentContent() {
+        if (this.currentSelection.book && this.currentSelection.chapter) {
+            this.refreshVerseMarks();
+            this.showReading();
+        } else {
+            this.showWelcome();
+        }
+    }
+
+    clearSearch() {
+        if (this.elements.searchInput) this.elements.searchInput.value = '';
+        clearTimeout(this.searchTimer);
+        this.searchRequestId++;
+        this.hideSearchResults();
+    }
+
+    resetSearch() {
+        clearTimeout(this.searchTimer);
+        if (this.elements.searchInput) this.elements.searchInput.value = '';
+        if (this.elements.searchResultList) this.elements.searchResultList.innerHTML = '';
+    }
+
+    // UI state management
+    showControls() {
+        if (this.elements.controls) this.elements.controls.classList.remove('hidden');
+    }
+
+    hideControls() {
+        if (this.elements.controls) this.elements.controls.classList.add('hidden');
+        this.hideChapterControls();
+    }
+
+    showChapterSelect() {
+        if (this.elements.chapterSelect) this.elements.chapterSelect.classList.remove('hidden');
+    }
+
+    hideChapterSelect() {
+        if (this.elements.chapterSelect) this.elements.chapterSelect.classList.add('hidden');
+    }
+
+    hideChapterControls() {
+        this.hideChapterSelect();
+        this.hideVerseControls();
+    }
+
+    showVerseControls() {
+        if (this.elements.verseControls) this.elements.verseControls.classList.remove('hidden');
+    }
+
+    hideVerseControls() {
+        if (this.elements.verseControls) this.elements.verseControls.classList.add('hidden');
+    }
+
+    showWelcome() {
+        this.showView('welcome');
+    }
+
+    showLoading() {
+        this.showView('loading');
+    }
+
+    hideLoading() {
+        if (this.elements.loading) this.elements.loading.classList.add('hidden');
+    }
+
+    showReading() {
+        this.showView('reading');
+    }
+
+    showSearchResults() {
+        this.showView('searchResults');
+    }
+
+    // Diagnostics - the state of caches, service worker and stored Bibles, for bug reports
+    async showDiagnostics() {
+        this.showView('diagnostics');
+        this.setDiagnosticsStatus('');
+        await this.renderDiagnostics();
+    }
+
+    setDiagnosticsStatus(message, isError = false) {
+        if (!this.elements.diagnosticsStatus) return;
+        this.elements.diagnosticsStatus.textContent = message;
+        this.elements.diagnosticsStatus.classList.toggle('error', isError);
+    }
+
+    async renderDiagnostics() {
+        const info = await this.postToServiceWorker({ type: 'DIAGNOSTICS' }, 5000);
+        const describeLifecycle = entry => {
+            if (!entry) return 'No record';
+            const when = new Date(entry.at).toLocaleString();
+            return entry.ok ? `Succeeded (${entry.version}, ${when})` : `Failed (${entry.version}, ${when}): ${entry.error}`;
+        };
+
+        const summary = [];
+        if (info) {
+            summary.push(['Active version', `${info.version || 'unknown'} (${info.liveCache.name}, ${info.liveCache.entries} files)`]);
+            summary.push(['Staged update', info.staged.length > 0
+                ? info.staged.map(cache => `${cache.name} (${cache.entries} files)`).join(', ')
+                : 'None']);
+            summary.push(['Last install', describeLifecycle(info.lifecycle.install)]);
+            summary.push(['Last activate', describeLifecycle(info.lifecycle.activate)]);
+            summary.push(['Connectivity', info.connectivity.latency !== null
+                ? `${info.connectivity.state} (${info.connectivity.latency} ms)`
+                : info.connectivity.state]);
+        } else {
+            summary.push(['Service worker', 'Not controlling this page - files come straight from the network']);
+        }
+        if (this.pendingUpdate) {
+            summary.push(['Waiting update', this.pendingUpdate.version || 'yes']);
+        }
+        summary.push(['Storage', await this.getStorageSummary()]);
+
+        if (this.elements.diagnosticsSummary) {
+            this.elements.diagnosticsSummary.innerHTML = '';
+            summary.forEach(([term, value]) => {
+                const dt = document.createElement('dt');
+                dt.textContent = term;
+                const dd = document.createElement('dd');
+                dd.textContent = value;
+                this.elements.diagnosticsSummary.append(dt, dd);
+            });
+        }
+
+        const addRow = (list, label, value, missing = false) => {
+            const item = document.createElement('li');
+            const name = document.createElement('span');
+            name.textContent = label;
+            const detail = document.createElement('span');
+            detail.textContent = value;
+            if (missing) detail.className = 'missing';
+            item.append(name, detail);
+            list.appendChild(item);
+        };
+
+        if (this.elements.diagnosticsAssets) {
+            this.elements.diagnosticsAssets.innerHTML = '';
+            (info ? info.assets : []).forEach(asset => {
+                const label = asset.critical ? asset.url : `${asset.url} (optional)`;
+                const value = asset.present ? this.formatBytes(asset.size) : 'Missing';
+                addRow(this.elements.diagnosticsAssets, label, value, !asset.present);
+            });
+            (info ? info.packs : []).filter(pack => pack.installed).forEach(pack => {
+                addRow(this.elements.diagnosticsAssets, `${pack.url} (downloaded)`, this.formatBytes(pack.size));
+            });
+        }
+
+        if (this.elements.diagnosticsBibles) {
+            this.elements.diagnosticsBibles.innerHTML = '';
+            const bibles = await this.dbGetAll('bibles');
+            const bookKeys = await this.dbGetKeys('bibleBooks');
+
+            bibles.forEach(record => {
+                const books = Array.isArray(record.data) ? record.data.length : 0;
+                addRow(this.elements.diagnosticsBibles, record.filename,
+                    `${books} books, saved ${new Date(record.cached_at).toLocaleString()}`);
+            });
+
+            // Split format: books saved one by one as they were read
+            const bookCounts = new Map();
+            bookKeys.forEach(([filename]) => bookCounts.set(filename, (bookCounts.get(filename) || 0) + 1));
+            bookCounts.forEach((count, filename) => {
+                addRow(this.elements.diagnosticsBibles, `${filename} (by book)`, `${count} book${count === 1 ? '' : 's'}`);
+            });
+
+            if (bibles.length === 0 && bookCounts.size === 0) {
+                addRow(this.elements.diagnosticsBibles, 'None', '');
+            }
+        }
+    }
+
+    async getStorageSummary() {
+        if (!navigator.storage || !navigator.storage.estimate) return 'Not available in this browser';
+
+        try {
+            const { usage, quota } = await navigator.storage.estimate();
+            return `${this.formatBytes(usage)} of ${this.formatBytes(quota)}`;
+        } catch (error) {
+            return `Unknown (${error.message})`;
+        }
+    }
+
+    async verifyIntegrity() {
+        this.setDiagnosticsStatus('Checking every saved file...');
+        const result = await this.postToServiceWorker({ type: 'VERIFY_INTEGRITY' }, 60000);
+
+        if (!result) {
+            this.setDiagnosticsStatus('No service worker is running, so there is nothing to verify.', true);
+            return;
+        }
+
+        if (result.problems.length === 0) {
+            this.setDiagnosticsStatus(`All ${result.checked} files are intact.`);
+        } else {
+            const lines = result.problems.map(problem => `${problem.url}: ${problem.problem}`);
+            this.setDiagnosticsStatus(`${result.problems.length} problem${result.problems.length === 1 ? '' : 's'} found - use Repair.\n${lines.join('\n')}`, true);
+        }
+    }
+
+    async repairApp() {
+        this.setDiagnosticsStatus('Repairing...');
+        const result = await this.postToServiceWorker({ type: 'REPAIR' }, 5 * 60000);
+
+        if (!result) {
+            this.setDiagnosticsStatus('No service worker is running. Try Reset everything.', true);
+            return;
+        }
+
+        const downloading = result.downloading || [];
+        const pending = downloading.length > 0
+            ? `${downloading.length} translation${downloading.length === 1 ? ' is' : 's are'} still downloading and will be replaced when done.`
+            : '';
+
+        if (result.failed.length > 0) {
+            const lines = result.failed.map(failure => `${failure.url}: ${failure.error}`);
+            this.setDiagnosticsStatus(`Could not repair ${result.failed.length} file${result.failed.length === 1 ? '' : 's'}.\n${lines.join('\n')}${pending ? `\n${pending}` : ''}`, true);
+        } else if (result.repaired.length > 0) {
+            this.setDiagnosticsStatus(`Repaired ${result.repaired.length} file${result.repaired.length === 1 ? '' : 's'}.${pending ? ` ${pending}` : ''}`);
+        } else if (pending) {
+            this.setDiagnosticsStatus(pending);
+        } else {
+            this.setDiagnosticsStatus('Nothing needed repairing.');
+        }
+        await this.renderDiagnostics();
+    }
+
+    // Caches, service worker and saved Bible text go; bookmarks, highlights and settings stay
+    async resetEverything() {
+        if (!window.confirm('Delete all saved app files and Bibles and start fresh? Bookmarks, highlights, reading plans and settings are kept.')) return;
+
+        this.setDiagnosticsStatus('Resetting...');
+        const result = await this.postToServiceWorker({ type: 'RESET_EVERYTHING' }, 10000);
+
+        // A broken or missing worker can't clean up after itself
+        if (!result) {
+            try {
+                if ('caches' in window) {
+                    const names = await caches.keys();
+                    await Promise.all(names.map(name => caches.delete(name)));
+                }
+                if ('serviceWorker' in navigator) {
+                    const registrations = await navigator.serviceWorker.getRegistrations();
+                    await Promise.all(registrations.map(registration => registration.unregister()));
+                }
+            } catch (error) {
+                console.warn('Reset from the page failed:', error);
+            }
+        }
+
+        for (const storeName of ['bibles', 'searchIndex', 'bibleIndexes', 'bibleBooks']) {
+            await this.dbClear(storeName);
+        }
+
+        location.reload();
+    }
+
+    // Connectivity indicator - the service worker judges by real request outcomes
+    async refreshConnectivity(probe = false) {
+        const reply = await this.postToServiceWorker({ type: 'CONNECTIVITY', probe }, probe ? 10000 : 2000);
+        if (reply && reply.state) {
+            this.setConnectivity(reply.state);
+        } else {
+            this.setConnectivity(navigator.onLine === false ? 'offline' : 'online');
+        }
+    }
+
+    setConnectivity(state) {
+        this.connectivityState = state;
+        this.renderConnectivity();
+    }
+
+    renderConnectivity() {
+        const labels = { online: 'Online', slow: 'Slow connection', offline: 'Offline' };
+        const status = this.elements.connectivityStatus;
+
+        if (status) {
+            status.textContent = labels[this.connectivityState] || labels.online;
+            status.className = `connectivity-status ${this.connectivityState}`;
+        }
+        this.renderDataAge();
+    }
+
+    // Only shown when the text on screen is not fresh from the server
+    renderDataAge() {
+        const dataAge = this.elements.dataAge;
+        if (!dataAge) return;
+
+        const age = this.displayedFetchedAt ? Date.now() - this.displayedFetchedAt : 0;
+        const stale = age >= 60 * 1000 || (this.displayedFetchedAt && this.connectivityState === 'offline');
+
+        dataAge.classList.toggle('hidden', !stale);
+        if (stale) dataAge.textContent = `Saved on this device ${this.formatAge(age)}`;
+    }
+
+    formatAge(ms) {
+        const minutes = Math.floor(ms / 60000);
+        if (minutes < 1) return 'just now';
+        if (minutes < 60) return `${minutes} minute${minutes === 1 ? '' : 's'} ago`;
+
+        const hours = Math.floor(minutes / 60);
+        if (hours < 24) return `${hours} hour${hours === 1 ? '' : 's'} ago`;
+
+        const days = Math.floor(hours / 24);
+        return `${days} day${days === 1 ? '' : 's'} ago`;
+    }
+
+    // Updates install in the background and wait; the reader decides when to reload
+    async watchForUpdates() {
+        if (!('serviceWorker' in navigator)) return;
+
+        // The first install activates on its own - that is not an update for this page
+        const hadController = Boolean(navigator.serviceWorker.controller);
+        this.ignoreActivation = !hadController;
+
+        // A rescued page is taken over by a new registration, which never messages it
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (this.reloadRequested) location.reload();
+            else if (!this.pendingUpdate) this.handleUpdateActivated({});
+        });
+
+        const registration = await navigator.serviceWorker.ready;
+
+        if (registration.waiting && hadController) {
+            this.handleUpdateWaiting(registration.waiting);
+        }
+
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            if (!worker) return;
+
+            worker.addEventListener('statechange', () => {
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                    this.handleUpdateWaiting(worker);
+                }
+            });
+        });
+    }
+
+    async handleUpdateWaiting(worker) {
+        const info = await this.postToServiceWorker({ type: 'VERSION_INFO' }, 2000, worker);
+        this.pendingUpdate = { worker, version: '', changelog: '', ...info };
+        this.scheduleUpdateBanner();
+    }
+
+    // Another tab (or the first install) already activated the new version
+    handleUpdateActivated(data) {
+        if (this.ignoreActivation) return;
+
+        if (this.reloadRequested) {
+            location.reload();
+            return;
+        }
+
+        this.pendingUpdate = { worker: null, version: data.version || '', changelog: data.changelog || '' };
+        this.scheduleUpdateBanner();
+    }
+
+    // Mid-reading: scrolled recently, selecting verses or typing (notes, search)
+    isMidReading() {
+        const active = document.activeElement;
+        const typing = active && (active.tagName === 'INPUT' || active.tagName === 'TEXTAREA') && active.type !== 'radio';
+        const reading = this.elements.reading && !this.elements.reading.classList.contains('hidden');
+        const recentlyScrolled = Date.now() - this.lastReadingActivity < this.updateIdleDelay;
+
+        return typing || this.selectedVerses.length > 0 || (reading && recentlyScrolled);
+    }
+
+    scheduleUpdateBanner() {
+        clearTimeout(this.updateCheckTimer);
+        if (!this.pendingUpdate) return;
+
+        if (this.isMidReading()) {
+            this.updateCheckTimer = setTimeout(() => this.scheduleUpdateBanner(), 5000);
+            return;
+        }
+
+        this.showUpdateBanner();
+    }
+
+    showUpdateBanner() {
+        if (!this.elements.updateBanner || !this.pendingUpdate) return;
+        const { version, changelog } = this.pendingUpdate;
+
+        if (this.elements.updateVersion) {
+            this.elements.updateVersion.textContent = version ? `(${version})` : '';
+        }
+        if (this.elements.updateChangelog) {
+            this.elements.updateChangelog.textContent = changelog;
+            this.elements.updateChangelog.classList.toggle('hidden', !changelog);
+        }
+
+        this.elements.updateBanner.classList.remove('hidden');
+    }
+
+    applyUpdate() {
+        if (!this.pendingUpdate) return;
+        const { worker } = this.pendingUpdate;
+
+        this.saveReadingPosition();
+        if (this.elements.updateBanner) this.elements.updateBanner.classList.add('hidden');
+
+        if (!worker || worker.state === 'activated') {
+            location.reload();
+            return;
+        }
+
+        // Reload once the new worker takes control; don't leave the reader hanging if it never does
+        this.reloadRequested = true;
+        worker.postMessage({ type: 'SKIP_WAITING' });
+        setTimeout(() => location.reload(), 5000);
+    }
+
+    // Hidden until the next visit; the update stays waiting meanwhile
+    dismissUpdate() {
+        clearTimeout(this.updateCheckTimer);
+        this.pendingUpdate = null;
+        if (this.elements.updateBanner) this.elements.updateBanner.classList.add('hidden');
+    }
+
+    showError(message) {
+        this.showView('error');
+        if (this.elements.errorMessage) this.elements.errorMessage.textContent = message;
+    }
+
+    // Content panels are mutually exclusive - show one, hide the rest
+    showView(visibleView) {
+        const views = ['welcome', 'reading', 'searchResults', 'bookmarks', 'highlights', 'readingPlans', 'personalData', 'downloads', 'diagnostics', 'loading', 'error'];
+        const states = {};
+        views.forEach(view => {
+            states[view] = view !== visibleView;
+        });
+        this.setViewState(states);
     }
 
     setViewState(hiddenStates) {
@@ -0,0 +1,185 @@
+// Personal Data Archive - Versioned export/import of bookmarks, highlights and settings
+
+const PERSONAL_DATA_FORMAT = 'baiboly-personal-data';
+const PERSONAL_DATA_VERSION = 1;
+
+class PersonalDataArchive {
+    static build({ bookmarks, highlights, settings }) {
+        return {
+            format: PERSONAL_DATA_FORMAT,
+            version: PERSONAL_DATA_VERSION,
+            exportedAt: new Date().toISOString(),
+            bookmarks,
+            highlights,
+            settings
+        };
+    }
+
+    static parse(text, options = {}) {
+        let data;
+        try {
+            data = JSON.parse(String(text).replace(/^\uFEFF/, ''));
+        } catch (error) {
+            throw new Error('The file is not valid JSON.');
+        }
+
+        const errors = PersonalDataArchive.validate(data, options);
+        if (errors.length > 0) {
+            const shown = errors.slice(0, 5).join('; ');
+            const more = errors.length > 5 ? ` (and ${errors.length - 5} more)` : '';
+            throw new Error(`The file is not a valid backup: ${shown}${more}.`);
+        }
+
+        return data;
+    }
+
+    // Returns a list of readable problems, empty when the archive is valid
+    static validate(data, { highlightColors = null, fontSizes = null } = {}) {
+        const errors = [];
+
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            return ['expected a JSON object'];
+        }
+
+        if (data.format !== PERSONAL_DATA_FORMAT) {
+            errors.push(`format must be "${PERSONAL_DATA_FORMAT}"`);
+        }
+
+        if (!Number.isInteger(data.version) || data.version < 1) {
+            errors.push('version must be a positive integer');
+        } else if (data.version > PERSONAL_DATA_VERSION) {
+            errors.push(`version ${data.version} is newer than this app supports (${PERSONAL_DATA_VERSION})`);
+        }
+
+        const isPositiveInteger = value => Number.isInteger(value) && value > 0;
+        const isTimestamp = value => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+        const checkVerseRecord = (record, path) => {
+            if (!record || typeof record !== 'object') {
+                errors.push(`${path} must be an object`);
+                return false;
+            }
+            if (typeof record.book !== 'string' || !record.book) errors.push(`${path}.book must be a book abbrev`);
+            if (!isPositiveInteger(record.chapter)) errors.push(`${path}.chapter must be a positive integer`);
+            if (!isPositiveInteger(record.verse)) errors.push(`${path}.verse must be a positive integer`);
+            if (record.id !== `${record.book}.${record.chapter}.${record.verse}`) {
+                errors.push(`${path}.id must be "<book>.<chapter>.<verse>"`);
+            }
+            if (!isTimestamp(record.createdAt)) errors.push(`${path}.createdAt must be a timestamp`);
+            if (!isTimestamp(record.updatedAt)) errors.push(`${path}.updatedAt must be a timestamp`);
+            return true;
+        };
+
+        if (!Array.isArray(data.bookmarks)) {
+            errors.push('bookmarks must be a list');
+        } else {
+            data.bookmarks.forEach((bookmark, i) => {
+                if (!checkVerseRecord(bookmark, `bookmarks[${i}]`)) return;
+                if (typeof bookmark.folder !== 'string') errors.push(`bookmarks[${i}].folder must be text`);
+                if (typeof bookmark.note !== 'string') errors.push(`bookmarks[${i}].note must be text`);
+            });
+        }
+
+        if (!Array.isArray(data.highlights)) {
+            errors.push('highlights must be a list');
+        } else {
+            data.highlights.forEach((highlight, i) => {
+                if (!checkVerseRecord(highlight, `highlights[${i}]`)) return;
+                if (typeof highlight.color !== 'string' || !highlight.color) {
+                    errors.push(`highlights[${i}].color must be a color name`);
+                } else if (highlightColors && !highlightColors.includes(highlight.color)) {
+                    errors.push(`highlights[${i}].color "${highlight.color}" is not one of ${highlightColors.join(', ')}`);
+                }
+            });
+        }
+
+        if (!data.settings || typeof data.settings !== 'object' || Array.isArray(data.settings)) {
+            errors.push('settings must be an object');
+        } else {
+            Object.entries(data.settings).forEach(([key, value]) => {
+                if (typeof value !== 'string') {
+                    errors.push(`settings.${key} must be text`);
+                    return;
+                }
+                const problem = PersonalDataArchive.checkSetting(key, value, { fontSizes });
+                if (problem) errors.push(`settings.${key} ${problem}`);
+            });
+        }
+
+        return errors;
+    }
+
+    // The localStorage entries the app reads back; other keys are ignored on import
+    static checkSetting(key, value, { fontSizes = null } = {}) {
+        const parse = () => {
+            try {
+                return { value: JSON.parse(value) };
+            } catch (error) {
+                return null;
+            }
+        };
+
+        if (key === 'bibleFontSize') {
+            if (fontSizes && !fontSizes.includes(value)) return `must be one of ${fontSizes.join(', ')}`;
+        } else if (key === 'bibleLastBible') {
+            if (!value) return 'must be a translation file name';
+        } else if (key === 'bibleParallelBibles') {
+            const parsed = parse();
+            if (!parsed || !Array.isArray(parsed.value) || !parsed.value.every(item => typeof item === 'string' && item)) {
+                return 'must be a JSON list of translation file names';
+            }
+        } else if (key === 'bibleReadingPositions') {
+            const parsed = parse();
+            if (!parsed || !parsed.value || typeof parsed.value !== 'object' || Array.isArray(parsed.value)) {
+                return 'must be a JSON object of reading positions';
+            }
+            const invalid = Object.keys(parsed.value).filter(bible =>
+                !bible || !PersonalDataArchive.isReadingPosition(parsed.value[bible]));
+            if (invalid.length > 0) return `has invalid reading positions for ${invalid.join(', ')}`;
+        }
+        return null;
+    }
+
+    // A saved position needs at least a book and chapter; the other fields are optional
+    static isReadingPosition(position) {
+        if (!position || typeof position !== 'object' || Array.isArray(position)) return false;
+
+        const isPositiveInteger = value => Number.isInteger(value) && value > 0;
+        const isOptionalVerse = value => value === null || value === undefined || isPositiveInteger(value);
+        const isOptionalNumber = value => value === null || value === undefined || (typeof value === 'number' && Number.isFinite(value));
+
+        return typeof position.book === 'string' && position.book !== '' &&
+            isPositiveInteger(position.chapter) &&
+            isOptionalVerse(position.startVerse) &&
+            isOptionalVerse(position.endVerse) &&
+            isOptionalVerse(position.topVerse) &&
+            (position.verseList === null || position.verseList === undefined ||
+                (Array.isArray(position.verseList) && position.verseList.every(isPositiveInteger))) &&
+            isOptionalNumber(position.scrollY) &&
+            isOptionalNumber(position.savedAt) &&
+            (position.bookName === undefined || typeof position.bookName === 'string');
+    }
+
+    // Same verse on both sides: the most recently updated record wins
+    static mergeRecords(localRecords, importedRecords) {
+        const merged = new Map(localRecords.map(record => [record.id, record]));
+        let added = 0;
+        let updated = 0;
+        let kept = 0;
+
+        importedRecords.forEach(record => {
+            const local = merged.get(record.id);
+            if (!local) {
+                merged.set(record.id, record);
+                added++;
+            } else if (record.updatedAt > local.updatedAt) {
+                merged.set(record.id, record);
+                updated++;
+            } else {
+                kept++;
+            }
+        });
+
+        return { records: [...merged.values()], added, updated, kept };
+    }
+}
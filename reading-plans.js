@@ -0,0 +1,293 @@
+// Reading Plans - Built-in and custom plans, their daily passages and progress
+//
+// A plan has a number of days and one or more tracks, each a list of reference
+// ranges ({ book, from, to } with chapters optional). Each track is spread over all
+// the days on its own, so a Psalms and Proverbs plan reads some of both every day.
+// Passages come from the chapters of the translation being read, so a book it does
+// not have is left out and the chapters it does have are spread over the same days.
+
+const READING_PLAN_FORMAT = 'baiboly-reading-plan';
+const READING_PLAN_VERSION = 1;
+
+const BUILT_IN_READING_PLANS = [
+    {
+        id: 'bible-year',
+        name: 'Whole Bible in a year',
+        days: 365,
+        tracks: [BIBLE_BOOKS.map(book => ({ book: book.abbrev }))]
+    },
+    {
+        id: 'nt-90',
+        name: 'New Testament in 90 days',
+        days: 90,
+        tracks: [BIBLE_BOOKS.filter(book => book.testament === 'nt').map(book => ({ book: book.abbrev }))]
+    },
+    {
+        id: 'psalms-proverbs',
+        name: 'Psalms and Proverbs in a month',
+        days: 31,
+        tracks: [[{ book: 'ps' }], [{ book: 'prv' }]]
+    }
+];
+
+class ReadingPlans {
+    static builtIn() {
+        return BUILT_IN_READING_PLANS;
+    }
+
+    static isBuiltIn(id) {
+        return BUILT_IN_READING_PLANS.some(plan => plan.id === id);
+    }
+
+    static build(plan) {
+        return {
+            format: READING_PLAN_FORMAT,
+            version: READING_PLAN_VERSION,
+            exportedAt: new Date().toISOString(),
+            plan: { id: plan.id, name: plan.name, days: plan.days, tracks: plan.tracks }
+        };
+    }
+
+    // A plan file holds one plan; "ranges" is short for a single track. A built-in
+    // plan's id is allowed, so a plan exported on one device imports on another.
+    static parse(text) {
+        let data;
+        try {
+            data = JSON.parse(String(text).replace(/^\uFEFF/, ''));
+        } catch (error) {
+            throw new Error('The file is not valid JSON.');
+        }
+
+        const errors = ReadingPlans.validate(data);
+        if (errors.length > 0) {
+            const shown = errors.slice(0, 5).join('; ');
+            const more = errors.length > 5 ? ` (and ${errors.length - 5} more)` : '';
+            throw new Error(`The file is not a valid reading plan: ${shown}${more}.`);
+        }
+
+        return ReadingPlans.normalize(data.plan);
+    }
+
+    static normalize(plan) {
+        const slug = plan.name.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+            .replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+        return {
+            id: plan.id || `custom-${slug || Date.now()}`,
+            name: plan.name.trim(),
+            days: plan.days,
+            tracks: (plan.tracks || [plan.ranges]).map(track => track.map(range => {
+                const normalized = { book: range.book };
+                if (range.from) normalized.from = range.from;
+                if (range.to) normalized.to = range.to;
+                return normalized;
+            }))
+        };
+    }
+
+    // True when a plan comes back unchanged from its exported file
+    static roundTrips(plan) {
+        try {
+            const imported = ReadingPlans.parse(JSON.stringify(ReadingPlans.build(plan)));
+            return JSON.stringify(imported) === JSON.stringify(ReadingPlans.normalize(plan));
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // Returns a list of readable problems, empty when the file is valid
+    static validate(data) {
+        const errors = [];
+
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            return ['expected a JSON object'];
+        }
+
+        if (data.format !== READING_PLAN_FORMAT) {
+            errors.push(`format must be "${READING_PLAN_FORMAT}"`);
+        }
+
+        if (!Number.isInteger(data.version) || data.version < 1) {
+            errors.push('version must be a positive integer');
+        } else if (data.version > READING_PLAN_VERSION) {
+            errors.push(`version ${data.version} is newer than this app supports (${READING_PLAN_VERSION})`);
+        }
+
+        const plan = data.plan;
+        if (!plan || typeof plan !== 'object' || Array.isArray(plan)) {
+            errors.push('plan must be an object');
+            return errors;
+        }
+
+        if (plan.id !== undefined && (typeof plan.id !== 'string' || !/^[a-z0-9-]+$/.test(plan.id))) {
+            errors.push('plan.id must be lowercase letters, digits and dashes');
+        }
+        if (typeof plan.name !== 'string' || !plan.name.trim()) errors.push('plan.name must be text');
+        if (!Number.isInteger(plan.days) || plan.days < 1 || plan.days > 3660) {
+            errors.push('plan.days must be a whole number of days from 1 to 3660');
+        }
+
+        const isPositiveInteger = value => Number.isInteger(value) && value > 0;
+
+        const checkTrack = (track, path) => {
+            if (!Array.isArray(track) || track.length === 0) {
+                errors.push(`${path} must be a non-empty list of ranges`);
+                return;
+            }
+            track.forEach((range, i) => {
+                const rangePath = `${path}[${i}]`;
+                if (!range || typeof range !== 'object') {
+                    errors.push(`${rangePath} must be an object`);
+                    return;
+                }
+                if (typeof range.book !== 'string' || !range.book) errors.push(`${rangePath}.book must be a book abbrev`);
+                if (range.from !== undefined && !isPositiveInteger(range.from)) errors.push(`${rangePath}.from must be a chapter number`);
+                if (range.to !== undefined && !isPositiveInteger(range.to)) errors.push(`${rangePath}.to must be a chapter number`);
+                if (isPositiveInteger(range.from) && isPositiveInteger(range.to) && range.to < range.from) {
+                    errors.push(`${rangePath}.to must not come before from`);
+                }
+            });
+        };
+
+        if (plan.tracks !== undefined) {
+            if (!Array.isArray(plan.tracks) || plan.tracks.length === 0) {
+                errors.push('plan.tracks must be a non-empty list');
+            } else {
+                plan.tracks.forEach((track, i) => checkTrack(track, `plan.tracks[${i}]`));
+            }
+        } else if (plan.ranges !== undefined) {
+            checkTrack(plan.ranges, 'plan.ranges');
+        } else {
+            errors.push('plan needs a list of ranges');
+        }
+
+        return errors;
+    }
+
+    // books: the translation's books as { key (canonical abbrev), abbrev, name, chapters (count) }
+    static findBook(books, abbrev) {
+        const direct = books.find(book => book.key === abbrev || book.abbrev === abbrev);
+        if (direct) return direct;
+
+        const canonical = ReadingPlans.getCanonicalBook(abbrev);
+        return canonical ? books.find(book => book.key === canonical.abbrev) || null : null;
+    }
+
+    static getCanonicalBook(abbrev) {
+        const key = abbrev.toLowerCase();
+        return BIBLE_BOOKS.find(book => book.abbrev === key) ||
+            BIBLE_BOOKS.find(book => book.aliases.includes(key)) || null;
+    }
+
+    // Day by day passages ({ book, name, startChapter, endChapter }); each track's
+    // chapters are split evenly over the days. missing lists books the translation lacks.
+    static schedule(plan, books) {
+        const days = Array.from({ length: plan.days }, () => []);
+        const missing = [];
+
+        plan.tracks.forEach(track => {
+            const chapters = [];
+            track.forEach(range => {
+                const book = ReadingPlans.findBook(books, range.book);
+                if (!book) {
+                    const canonical = ReadingPlans.getCanonicalBook(range.book);
+                    const name = canonical ? canonical.names[0] : range.book;
+                    if (!missing.includes(name)) missing.push(name);
+                    return;
+                }
+
+                const last = Math.min(range.to || book.chapters, book.chapters);
+                for (let chapter = range.from || 1; chapter <= last; chapter++) {
+                    chapters.push({ book, chapter });
+                }
+            });
+
+            for (let day = 0; day < plan.days; day++) {
+                const start = Math.floor(day * chapters.length / plan.days);
+                const end = Math.floor((day + 1) * chapters.length / plan.days);
+                const passages = days[day];
+
+                chapters.slice(start, end).forEach(({ book, chapter }) => {
+                    const previous = passages[passages.length - 1];
+                    if (previous && previous.book === book.abbrev && previous.endChapter === chapter - 1) {
+                        previous.endChapter = chapter;
+                    } else {
+                        passages.push({ book: book.abbrev, name: book.name, startChapter: chapter, endChapter: chapter });
+                    }
+                });
+            }
+        });
+
+        return { days, missing };
+    }
+
+    static formatPassage(passage) {
+        return passage.endChapter === passage.startChapter
+            ? `${passage.name} ${passage.startChapter}`
+            : `${passage.name} ${passage.startChapter}-${passage.endChapter}`;
+    }
+
+    // Where a started plan stands. completed maps day index to when it was marked read;
+    // the streak counts calendar days in a row, up to today or yesterday, with a reading done.
+    static progress(record, today = ReadingPlans.toDateKey(new Date())) {
+        const total = record.plan.days;
+        const isDone = day => Boolean(record.completed[day]);
+        const elapsed = Math.max(ReadingPlans.daysBetween(record.startDate, today), 0);
+
+        let next = null;
+        for (let day = 0; day < total; day++) {
+            if (!isDone(day)) {
+                next = day;
+                break;
+            }
+        }
+
+        let behind = 0;
+        for (let day = 0; day < Math.min(elapsed, total); day++) {
+            if (!isDone(day)) behind++;
+        }
+
+        const readOn = new Set(Object.values(record.completed).map(time => ReadingPlans.toDateKey(new Date(time))));
+        let streak = 0;
+        let date = readOn.has(today) ? today : ReadingPlans.addDays(today, -1);
+        while (readOn.has(date)) {
+            streak++;
+            date = ReadingPlans.addDays(date, -1);
+        }
+
+        return {
+            today: Math.min(elapsed, total - 1),
+            next,
+            behind,
+            completed: Object.keys(record.completed).filter(day => Number(day) < total).length,
+            total,
+            streak,
+            finished: next === null
+        };
+    }
+
+    // Catching up moves the schedule so the first unread day falls on today
+    static catchUp(record, today = ReadingPlans.toDateKey(new Date())) {
+        const { next } = ReadingPlans.progress(record, today);
+        if (next === null) return record;
+        return { ...record, startDate: ReadingPlans.addDays(today, -next) };
+    }
+
+    // Local calendar dates as "YYYY-MM-DD", so days turn over at the reader's midnight
+    static toDateKey(date) {
+        const pad = value => String(value).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    static parseDateKey(key) {
+        const [year, month, day] = key.split('-').map(Number);
+        return Date.UTC(year, month - 1, day);
+    }
+
+    static daysBetween(from, to) {
+        return Math.round((ReadingPlans.parseDateKey(to) - ReadingPlans.parseDateKey(from)) / 86400000);
+    }
+
+    static addDays(key, days) {
+        return new Date(ReadingPlans.parseDateKey(key) + days * 86400000).toISOString().slice(0, 10);
+    }
+}
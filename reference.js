@@ -0,0 +1,190 @@
+// Scripture Reference Parser - Turns "Jn 3:16", "Génesis 1:1-5", "1 Cor 13" or "Sal 23" into a selection
+
+class ReferenceParser {
+    constructor(bibleData) {
+        this.bibleData = Array.isArray(bibleData) ? bibleData : [];
+        this.lookup = this.buildLookup();
+    }
+
+    // 'I Corintios', '1ra. Corintios' and '1 corintios' all become '1corintios'
+    static normalizeBookKey(text) {
+        let key = String(text)
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .trim();
+
+        key = key.replace(/^(iii|ii|i)(?=[\s.])/, numeral => ({ i: '1', ii: '2', iii: '3' })[numeral]);
+        key = key.replace(/^(\d)\s*(st|nd|rd|th|ra|ro|er|re|a|o|e)?(?=[\s.])/, '$1');
+
+        return key.replace(/[\s.'’-]/g, '');
+    }
+
+    // Key -> book abbrevs in priority order
+    buildLookup() {
+        const lookup = new Map();
+
+        const add = (key, abbrev) => {
+            if (!key) return;
+            const list = lookup.get(key) || [];
+            if (!list.includes(abbrev)) list.push(abbrev);
+            lookup.set(key, list);
+        };
+
+        // 1. Display names of the loaded translation
+        this.bibleData.forEach(book => add(ReferenceParser.normalizeBookKey(book.name), book.abbrev));
+
+        // 2. Names and common abbreviations in several languages
+        BIBLE_BOOKS.forEach(book => {
+            book.names.forEach(name => add(ReferenceParser.normalizeBookKey(name), book.abbrev));
+            book.aliases.forEach(alias => add(ReferenceParser.normalizeBookKey(alias), book.abbrev));
+        });
+
+        // 3. The translation's own abbrevs last, they clash with common ones ('jn' is Jonah in es_rvr)
+        this.bibleData.forEach(book => add(ReferenceParser.normalizeBookKey(book.abbrev), book.abbrev));
+
+        return lookup;
+    }
+
+    findBookCandidates(bookText) {
+        const key = ReferenceParser.normalizeBookKey(bookText);
+        if (this.lookup.has(key)) return this.lookup.get(key);
+
+        // Unambiguous start of a full name: 'Deutero', 'Apoc'
+        if (key.length >= 3) {
+            const matches = new Set();
+            const names = [
+                ...this.bibleData.map(book => [book.name, book.abbrev]),
+                ...BIBLE_BOOKS.flatMap(book => book.names.map(name => [name, book.abbrev]))
+            ];
+
+            names.forEach(([name, abbrev]) => {
+                if (ReferenceParser.normalizeBookKey(name).startsWith(key)) matches.add(abbrev);
+            });
+
+            if (matches.size === 1) return [...matches];
+        }
+
+        return [];
+    }
+
+    findBook(abbrev) {
+        return this.bibleData.find(book => book.abbrev === abbrev) || null;
+    }
+
+    parse(input) {
+        const text = String(input || '').trim();
+        if (!text) throw new Error('Enter a reference, for example "Jn 3:16".');
+
+        const match = text.match(/^(.*?[^\d\s.:])\.?(?:\s*(\d+)(?:\s*[:.]\s*([\d\s,\-–]+))?)?\s*$/u);
+        if (!match) throw new Error(`Could not understand "${text}".`);
+
+        const [, bookText, chapterText, verseText] = match;
+        const candidates = this.findBookCandidates(bookText);
+
+        if (candidates.length === 0) {
+            throw new Error(`Unknown book "${bookText.trim()}".`);
+        }
+
+        const present = candidates.map(abbrev => this.findBook(abbrev)).filter(Boolean);
+        if (present.length === 0) {
+            const canonical = BIBLE_BOOKS.find(book => book.abbrev === candidates[0]);
+            const label = canonical ? canonical.names[0] : bookText.trim();
+            throw new Error(`${label} is not in this Bible.`);
+        }
+
+        // Try each matching book in priority order; report the first book's error if none fits
+        let firstError = null;
+        for (const book of present) {
+            try {
+                return this.resolve(book, chapterText, verseText);
+            } catch (error) {
+                if (!firstError) firstError = error;
+            }
+        }
+        throw firstError;
+    }
+
+    resolve(book, chapterText, verseText) {
+        const chapterCount = book.chapters.length;
+        let chapter = chapterText ? parseInt(chapterText, 10) : 1;
+        let ranges = verseText ? ReferenceParser.parseVerseList(verseText) : null;
+
+        // Single-chapter books are cited by verse: "Jude 5"
+        if (chapterCount === 1 && chapterText && !verseText && chapter > 1) {
+            ranges = [{ start: chapter, end: chapter }];
+            chapter = 1;
+        }
+
+        if (chapter < 1 || chapter > chapterCount) {
+            throw new Error(`${book.name} has ${chapterCount} chapter${chapterCount === 1 ? '' : 's'}.`);
+        }
+
+        const verseCount = book.chapters[chapter - 1].length;
+
+        if (ranges) {
+            for (const { start, end } of ranges) {
+                if (start > end) {
+                    throw new Error(`Verse range ${start}-${end} is reversed.`);
+                }
+                if (start < 1 || end > verseCount) {
+                    throw new Error(`${book.name} ${chapter} has ${verseCount} verses.`);
+                }
+            }
+        }
+
+        const verseList = ranges && ranges.length > 1 ? ReferenceParser.expandRanges(ranges) : null;
+
+        return {
+            book: book.abbrev,
+            bookName: book.name,
+            chapter,
+            startVerse: ranges ? Math.min(...ranges.map(range => range.start)) : null,
+            endVerse: ranges ? Math.max(...ranges.map(range => range.end)) : null,
+            verseList
+        };
+    }
+
+    // "16", "16-18", "1, 3, 5-7"
+    static parseVerseList(text) {
+        const parts = text.split(',').map(part => part.trim()).filter(Boolean);
+        if (parts.length === 0) throw new Error('Missing verse number.');
+
+        return parts.map(part => {
+            const range = part.match(/^(\d+)(?:\s*[-–]\s*(\d+))?$/);
+            if (!range) throw new Error(`Invalid verse "${part}".`);
+
+            const start = parseInt(range[1], 10);
+            const end = range[2] ? parseInt(range[2], 10) : start;
+            return { start, end };
+        });
+    }
+
+    static expandRanges(ranges) {
+        const verses = new Set();
+        ranges.forEach(({ start, end }) => {
+            for (let verse = start; verse <= end; verse++) verses.add(verse);
+        });
+        return [...verses].sort((a, b) => a - b);
+    }
+
+    // [16, 18, 20, 21, 22] -> "16,18,20-22"
+    static formatVerseList(verses) {
+        const parts = [];
+        let start = null;
+        let previous = null;
+
+        verses.forEach(verse => {
+            if (start !== null && verse === previous + 1) {
+                previous = verse;
+                return;
+            }
+            if (start !== null) parts.push(start === previous ? `${start}` : `${start}-${previous}`);
+            start = verse;
+            previous = verse;
+        });
+        if (start !== null) parts.push(start === previous ? `${start}` : `${start}-${previous}`);
+
+        return parts.join(',');
+    }
+}
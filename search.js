@@ -0,0 +1,407 @@
+// Bible Full-Text Search - Accent and case-insensitive inverted index over bibleData
+//
+// Query syntax:
+//   luz tinieblas        both words (implicit AND)
+//   luz OR tinieblas     either word
+//   luz NOT tinieblas    first word without the second (also: luz -tinieblas)
+//   "en el principio"    exact phrase
+//   cre*                 any word starting with "cre"
+//   (luz OR fuego) dios  grouping
+
+// Bump when the stored index layout changes so old indexes are rebuilt
+const SEARCH_INDEX_FORMAT = 1;
+
+class BibleSearch {
+    constructor(bibleData, index) {
+        this.bibleData = bibleData;
+        this.index = index;
+    }
+
+    // 'creó', 'CREO' and 'creo' all normalize to 'creo'
+    static normalize(text) {
+        return String(text)
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase();
+    }
+
+    static tokenize(text) {
+        return BibleSearch.normalize(text).match(/[\p{L}\p{N}]+/gu) || [];
+    }
+
+    // Split verse text into plain and matched segments for highlighting
+    static highlightSegments(text, terms) {
+        const parts = String(text).split(/([\p{L}\p{N}\u0300-\u036f]+)/u);
+
+        return parts
+            .filter(part => part.length > 0)
+            .map(part => {
+                const normalized = BibleSearch.normalize(part);
+                const match = terms.some(({ term, prefix }) => prefix ? normalized.startsWith(term) : normalized === term);
+                return { text: part, match };
+            });
+    }
+
+    // Cheap FNV-1a hash of the Bible content, used to detect when a stored index is stale.
+    // Only the text counts - the app also keeps load state (fetchedAt, loaded) on each book.
+    static contentSignature(bibleData) {
+        const text = JSON.stringify(bibleData.map(book => [book.abbrev, book.chapters]));
+        let hash = 0x811c9dc5;
+
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+
+        return `${SEARCH_INDEX_FORMAT}-${text.length}-${(hash >>> 0).toString(16)}`;
+    }
+
+    // Same idea from the server's sha256 of the translation file, without loading every book
+    static hashSignature(hash) {
+        return `${SEARCH_INDEX_FORMAT}-sha256-${hash}`;
+    }
+
+    // Verse ids pack book index, chapter and verse into one number
+    static packRef(bookIndex, chapter, verse) {
+        return bookIndex * 1000000 + chapter * 1000 + verse;
+    }
+
+    static unpackRef(ref) {
+        return {
+            bookIndex: Math.floor(ref / 1000000),
+            chapter: Math.floor(ref / 1000) % 1000,
+            verse: ref % 1000
+        };
+    }
+
+    static buildIndex(bibleData, signature) {
+        const refs = [];
+        const lengths = [];
+        const occurrences = new Map(); // token -> [verseId, position, verseId, position, ...]
+
+        bibleData.forEach((book, bookIndex) => {
+            (book.chapters || []).forEach((chapterVerses, chapterIndex) => {
+                chapterVerses.forEach((text, verseIndex) => {
+                    const verseId = refs.length;
+                    const tokens = BibleSearch.tokenize(text);
+
+                    refs.push(BibleSearch.packRef(bookIndex, chapterIndex + 1, verseIndex + 1));
+                    lengths.push(tokens.length);
+
+                    tokens.forEach((token, position) => {
+                        let list = occurrences.get(token);
+                        if (!list) {
+                            list = [];
+                            occurrences.set(token, list);
+                        }
+                        list.push(verseId, position);
+                    });
+                });
+            });
+        });
+
+        // Flatten postings into one typed array so IndexedDB stores a handful of objects
+        const terms = [...occurrences.keys()].sort();
+        const postingOffsets = new Uint32Array(terms.length + 1);
+        let total = 0;
+
+        terms.forEach((term, i) => {
+            postingOffsets[i] = total;
+            total += occurrences.get(term).length;
+        });
+        postingOffsets[terms.length] = total;
+
+        const postingData = new Uint32Array(total);
+        terms.forEach((term, i) => {
+            postingData.set(occurrences.get(term), postingOffsets[i]);
+        });
+
+        return {
+            formatVersion: SEARCH_INDEX_FORMAT,
+            signature,
+            refs: Uint32Array.from(refs),
+            lengths: Uint16Array.from(lengths),
+            terms,
+            postingOffsets,
+            postingData
+        };
+    }
+
+    static isUsableIndex(index, signature) {
+        return Boolean(index)
+            && index.formatVersion === SEARCH_INDEX_FORMAT
+            && index.signature === signature
+            && Array.isArray(index.terms);
+    }
+
+    search(query, limit = 200) {
+        let tree;
+        try {
+            tree = BibleSearch.parseQuery(query);
+        } catch (error) {
+            return { terms: [], total: 0, results: [], error: error.message };
+        }
+
+        if (!tree) return { terms: [], total: 0, results: [] };
+
+        const leaves = [];
+        BibleSearch.collectPositiveLeaves(tree, leaves);
+
+        const matches = this.evaluate(tree);
+        const leafMatches = leaves.map(leaf => this.matchPhrase(leaf.words));
+        const scored = [...matches].map(verseId => ({ verseId, score: this.scoreVerse(verseId, leaves, leafMatches) }));
+        scored.sort((a, b) => b.score - a.score || a.verseId - b.verseId);
+
+        const results = scored.slice(0, limit).map(({ verseId, score }) => {
+            const { bookIndex, chapter, verse } = BibleSearch.unpackRef(this.index.refs[verseId]);
+            const book = this.bibleData[bookIndex];
+            return {
+                book: book.abbrev,
+                bookName: book.name,
+                chapter,
+                verse,
+                text: book.chapters[chapter - 1][verse - 1],
+                score
+            };
+        });
+
+        const terms = leaves.flatMap(leaf => leaf.words);
+        return { terms, total: scored.length, results };
+    }
+
+    // Query parsing - OR binds looser than AND, NOT binds tightest
+    static parseQuery(query) {
+        const tokens = BibleSearch.lexQuery(query);
+        let position = 0;
+
+        const peek = () => tokens[position];
+        const next = () => tokens[position++];
+
+        const parseOr = () => {
+            let node = parseAnd();
+            while (peek() && peek().type === 'or') {
+                next();
+                const right = parseAnd();
+                if (!node) node = right;
+                else if (right) node = { type: 'or', children: [node, right] };
+            }
+            return node;
+        };
+
+        const parseAnd = () => {
+            const children = [];
+            while (peek() && peek().type !== 'or' && peek().type !== 'close') {
+                if (peek().type === 'and') {
+                    next();
+                    continue;
+                }
+                const child = parseUnary();
+                if (child) children.push(child);
+            }
+            if (children.length === 0) return null;
+            return children.length === 1 ? children[0] : { type: 'and', children };
+        };
+
+        const parseUnary = () => {
+            const token = next();
+
+            if (!token) return null;
+
+            if (token.type === 'not') {
+                if (peek() && (peek().type === 'and' || peek().type === 'or')) {
+                    throw new Error('Expected a word after NOT');
+                }
+                const child = parseUnary();
+                return child ? { type: 'not', child } : null;
+            }
+
+            if (token.type === 'open') {
+                const node = parseOr();
+                if (!peek() || peek().type !== 'close') {
+                    throw new Error('Missing closing parenthesis');
+                }
+                next();
+                return node;
+            }
+
+            if (token.type === 'close') {
+                throw new Error('Unexpected closing parenthesis');
+            }
+
+            if (token.type === 'and' || token.type === 'or') {
+                throw new Error(`Expected a word before ${token.type.toUpperCase()}`);
+            }
+
+            return token.words.length > 0 ? { type: 'phrase', words: token.words } : null;
+        };
+
+        const tree = parseOr();
+        if (position < tokens.length) {
+            throw new Error('Unexpected closing parenthesis');
+        }
+        return tree;
+    }
+
+    static lexQuery(query) {
+        const tokens = [];
+        const pattern = /"([^"]*)"?|\(|\)|[^\s()"]+/g;
+        let match;
+
+        while ((match = pattern.exec(String(query))) !== null) {
+            const raw = match[0];
+
+            if (match[1] !== undefined) {
+                tokens.push({ type: 'term', words: BibleSearch.parseWords(match[1]) });
+            } else if (raw === '(') {
+                tokens.push({ type: 'open' });
+            } else if (raw === ')') {
+                tokens.push({ type: 'close' });
+            } else if (raw === 'OR' || raw === '|') {
+                tokens.push({ type: 'or' });
+            } else if (raw === 'AND' || raw === '&') {
+                tokens.push({ type: 'and' });
+            } else if (raw === 'NOT') {
+                tokens.push({ type: 'not' });
+            } else if (raw.startsWith('-') && raw.length > 1) {
+                tokens.push({ type: 'not' });
+                tokens.push({ type: 'term', words: BibleSearch.parseWords(raw.slice(1)) });
+            } else {
+                tokens.push({ type: 'term', words: BibleSearch.parseWords(raw) });
+            }
+        }
+
+        // Search runs as the user types, so the word being typed last matches as a prefix
+        const last = tokens[tokens.length - 1];
+        if (last && last.type === 'term' && last.words.length > 0) {
+            last.words[last.words.length - 1].prefix = true;
+        }
+
+        return tokens;
+    }
+
+    // A trailing '*' turns the last word into a prefix match (needed except at the end of the query)
+    static parseWords(text) {
+        const words = BibleSearch.tokenize(text).map(term => ({ term, prefix: false }));
+        if (words.length > 0 && /\*\s*$/.test(text)) {
+            words[words.length - 1].prefix = true;
+        }
+        return words;
+    }
+
+    static collectPositiveLeaves(node, leaves) {
+        if (!node || node.type === 'not') return;
+        if (node.type === 'phrase') {
+            leaves.push(node);
+            return;
+        }
+        node.children.forEach(child => BibleSearch.collectPositiveLeaves(child, leaves));
+    }
+
+    // Query evaluation - every node resolves to a Set of verse ids
+    evaluate(node) {
+        switch (node.type) {
+            case 'phrase':
+                return new Set(this.matchPhrase(node.words).keys());
+
+            case 'and': {
+                const positives = node.children.filter(child => child.type !== 'not');
+                const negatives = node.children.filter(child => child.type === 'not');
+
+                let result = positives.length > 0 ? this.evaluate(positives[0]) : this.allVerses();
+                for (const child of positives.slice(1)) {
+                    const other = this.evaluate(child);
+                    result = new Set([...result].filter(id => other.has(id)));
+                }
+                for (const child of negatives) {
+                    const excluded = this.evaluate(child.child);
+                    result = new Set([...result].filter(id => !excluded.has(id)));
+                }
+                return result;
+            }
+
+            case 'or': {
+                const result = new Set();
+                node.children.forEach(child => {
+                    this.evaluate(child).forEach(id => result.add(id));
+                });
+                return result;
+            }
+
+            case 'not': {
+                const excluded = this.evaluate(node.child);
+                return new Set([...this.allVerses()].filter(id => !excluded.has(id)));
+            }
+
+            default:
+                return new Set();
+        }
+    }
+
+    allVerses() {
+        return new Set(this.index.refs.keys());
+    }
+
+    // Map of verseId -> positions where the word (or any word with that prefix) occurs
+    termPositions({ term, prefix }) {
+        const { terms, postingOffsets, postingData } = this.index;
+        const positions = new Map();
+
+        let low = 0;
+        let high = terms.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (terms[mid] < term) low = mid + 1;
+            else high = mid;
+        }
+
+        for (let i = low; i < terms.length; i++) {
+            if (prefix ? !terms[i].startsWith(term) : terms[i] !== term) break;
+
+            for (let p = postingOffsets[i]; p < postingOffsets[i + 1]; p += 2) {
+                const verseId = postingData[p];
+                if (!positions.has(verseId)) positions.set(verseId, []);
+                positions.get(verseId).push(postingData[p + 1]);
+            }
+        }
+
+        return positions;
+    }
+
+    // Map of verseId -> start positions where the words occur consecutively
+    matchPhrase(words) {
+        let matches = this.termPositions(words[0]);
+
+        for (let offset = 1; offset < words.length && matches.size > 0; offset++) {
+            const nextPositions = this.termPositions(words[offset]);
+            const narrowed = new Map();
+
+            matches.forEach((starts, verseId) => {
+                const following = nextPositions.get(verseId);
+                if (!following) return;
+
+                const kept = starts.filter(start => following.includes(start + offset));
+                if (kept.length > 0) narrowed.set(verseId, kept);
+            });
+
+            matches = narrowed;
+        }
+
+        return matches;
+    }
+
+    // Rare words and phrases count more; shorter verses rank above long ones
+    scoreVerse(verseId, leaves, leafMatches) {
+        const verseCount = this.index.refs.length;
+        let score = 0;
+
+        leaves.forEach((leaf, i) => {
+            const starts = leafMatches[i].get(verseId);
+            if (!starts) return;
+
+            const idf = Math.log(1 + verseCount / leafMatches[i].size);
+            score += starts.length * idf * leaf.words.length;
+        });
+
+        return score / (1 + Math.log(1 + this.index.lengths[verseId]));
+    }
+}
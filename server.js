@@ -30,12 +30,13 @@
  *    - No partial updates - either complete success or use cache
  * 
  * 4. CRITICAL FILES POLICY
- *    - ALL manifest files are critical (no optional resources)
- *    - Failed fetch on any critical file = fallback to cached version
+ *    - Core app files are critical, icons are optional (see the asset manifest)
+ *    - Failed fetch or hash mismatch on any critical file = fallback to cached version
  *    - Never serve a mix of new/old files (consistency requirement)
+ *    - Translations are independent packs: one missing Bible never blocks an update
  * 
  * 5. CACHE MANAGEMENT
- *    - Complete atomic updates only (all files or none)
+ *    - Complete atomic updates of the core files (all files or none)
  *    - Old cache versions must be cleaned up properly
  *    - Cache corruption protection (verify all files present)
  * 
@@ -57,53 +58,416 @@
 const express = require('express');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const { BIBLE_BOOKS } = require('./books.js');
+const { Versification } = require('./versification.js');
 const app = express();
 
+const gzip = promisify(zlib.gzip);
+const brotliCompress = promisify(zlib.brotliCompress);
+
 
 // CACHE VERSION MANAGEMENT - Change this to deploy new version
 const CACHE_VERSION = process.env.CACHE_VERSION || 'v2';
 const APP_NAME = process.env.APP_NAME || 'baiboly';
 
-// Cache Lock Rescue - Intercept main.js to inject rescue code
-app.get('/main.js', (req, res) => {
-  try {
-    // Read the actual main.js file (your existing game/app code)
-    let jsContent = fs.readFileSync(path.join(__dirname, 'main.js'), 'utf8');
-    
-    // Inject ONLY the rescue detection code at the beginning
-    const rescueCode = `
-// Cache Lock Rescue - Check for ${CACHE_VERSION} users and free older versions
-if ('serviceWorker' in navigator) {
-  caches.keys().then(cacheNames => {
-    const hasCurrentVersion = cacheNames.some(name => name.includes('-${CACHE_VERSION}'));
-    
-    if (!hasCurrentVersion && cacheNames.length > 0) {
-      // Old version detected - unregister and reload
-      console.log('Cache lock detected - rescuing to ${CACHE_VERSION}...');
-      navigator.serviceWorker.getRegistration().then(reg => {
-          if (reg) {
-            reg.unregister().then(() => location.reload());
-          } else {
-            location.reload(); // ← This handles missing SW
-          }
-        }).catch(() => {
-          location.reload(); // ← This handles SW errors
-        });
-      //return; 
+// What changed in this version - shown in the "New version available" banner
+const APP_CHANGELOG = process.env.APP_CHANGELOG || '';
+
+// Cache lock rescue (cache-rescue.js) - CACHE_RESCUE=false turns it off
+const CACHE_RESCUE = {
+  enabled: process.env.CACHE_RESCUE !== 'false',
+  appPrefix: APP_NAME,
+  version: CACHE_VERSION,
+  maxAttempts: parseInt(process.env.CACHE_RESCUE_MAX_ATTEMPTS) || 3,
+  retryDelay: parseInt(process.env.CACHE_RESCUE_RETRY_DELAY) || 2000
+};
+
+// BIBLE CATALOG - Translations are discovered from <lang>_<version>.json files
+const BIBLES_DIR = path.resolve(process.env.BIBLES_DIR || __dirname);
+const BIBLE_FILENAME_PATTERN = /^([a-z]{2,3})_([a-z0-9_]+)\.json$/i;
+
+// Entries are reused until the file's size or mtime changes, so dropping in a
+// new translation shows up on the next request without a restart
+const catalogCache = new Map();
+
+// Translations are downloaded in pieces of this size, each with its own hash
+const BIBLE_CHUNK_SIZE = parseInt(process.env.BIBLE_CHUNK_SIZE) || 256 * 1024;
+
+// FLAKY NETWORK SIMULATION - Off by default. Slows translation downloads down and/or
+// cuts a share of them midway, to exercise resumable downloads locally:
+//   BIBLE_THROTTLE_KBPS=64 BIBLE_INTERRUPT_RATE=0.3 node server.js
+const BIBLE_THROTTLE_KBPS = parseInt(process.env.BIBLE_THROTTLE_KBPS) || 0;
+const BIBLE_INTERRUPT_RATE = parseFloat(process.env.BIBLE_INTERRUPT_RATE) || 0;
+
+function readBibleFile(filePath) {
+  // Some translation files ship with a UTF-8 BOM
+  const text = fs.readFileSync(filePath, 'utf8').replace(/^\uFEFF/, '');
+  return JSON.parse(text);
+}
+
+// TRANSLATION VALIDATION - Errors keep a file out of the catalog (the client could
+// not read it); warnings are only logged. Verse counts are compared with the numbering
+// scheme (versification.js) the file matches best, which is also sent to clients.
+const KNOWN_ABBREVS = new Set(BIBLE_BOOKS.map(book => book.abbrev));
+
+function validateBibleData(books) {
+  const report = { books: 0, verses: 0, versification: null, errors: [], warnings: [] };
+
+  if (!Array.isArray(books)) {
+    report.errors.push('expected a list of books');
+    return report;
+  }
+
+  report.versification = Versification.detect(books);
+  const expectedCounts = Versification.verseCounts(report.versification);
+  const schemeName = Versification.getName(report.versification);
+
+  const seen = new Set();
+  books.forEach((book, index) => {
+    const label = book && typeof book.abbrev === 'string' && book.abbrev ? book.abbrev : `book #${index + 1}`;
+
+    if (!book || typeof book !== 'object' || Array.isArray(book)) {
+      report.errors.push(`${label}: not an object`);
+      return;
     }
-    
-    // Current version users or new users - normal service worker registration
-    navigator.serviceWorker.register('/service-worker.js', {updateViaCache: 'none'});
+    report.books++;
+
+    if (typeof book.abbrev !== 'string' || !book.abbrev) {
+      report.errors.push(`${label}: missing abbrev`);
+    } else if (seen.has(book.abbrev)) {
+      report.errors.push(`${label}: duplicate abbrev`);
+    } else {
+      seen.add(book.abbrev);
+      if (!KNOWN_ABBREVS.has(book.abbrev)) report.warnings.push(`${label}: unknown abbrev, references and cross-translation features will not find it`);
+    }
+
+    if (typeof book.name !== 'string' || !book.name.trim()) {
+      report.errors.push(`${label}: missing name`);
+    }
+
+    if (!Array.isArray(book.chapters) || book.chapters.length === 0) {
+      report.errors.push(`${label}: no chapters`);
+      return;
+    }
+
+    const expected = expectedCounts[book.abbrev];
+    if (expected && book.chapters.length !== expected.length) {
+      report.warnings.push(`${label}: ${book.chapters.length} chapters, ${schemeName} numbering has ${expected.length}`);
+    }
+
+    book.chapters.forEach((verses, chapterIndex) => {
+      const chapter = chapterIndex + 1;
+
+      if (!Array.isArray(verses) || verses.length === 0) {
+        report.errors.push(`${label} ${chapter}: empty chapter`);
+        return;
+      }
+      report.verses += verses.length;
+
+      const badVerses = verses.map((text, i) => typeof text === 'string' ? 0 : i + 1).filter(Boolean);
+      if (badVerses.length > 0) {
+        report.errors.push(`${label} ${chapter}: non-text verses ${badVerses.join(', ')}`);
+      }
+
+      const emptyVerses = verses.map((text, i) => typeof text === 'string' && !text.trim() ? i + 1 : 0).filter(Boolean);
+      if (emptyVerses.length > 0) {
+        report.warnings.push(`${label} ${chapter}: empty verses ${emptyVerses.join(', ')}`);
+      }
+
+      if (expected && expected[chapterIndex] !== undefined && verses.length !== expected[chapterIndex]) {
+        report.warnings.push(`${label} ${chapter}: ${verses.length} verses, ${schemeName} numbering has ${expected[chapterIndex]}`);
+      }
+    });
   });
+
+  return report;
+}
+
+// One block per file: a status line, then every error and the first warnings
+function logValidationReport(filename, report) {
+  const status = report.errors.length > 0 ? 'INVALID, not advertised' : 'ok';
+  const numbering = report.versification ? `${Versification.getName(report.versification)} numbering, ` : '';
+  const summary = `${report.books} books, ${report.verses} verses, ${numbering}${report.errors.length} errors, ${report.warnings.length} warnings`;
+  const log = report.errors.length > 0 ? console.error : console.log;
+
+  log(`Translation check: ${filename} ${status} (${summary})`);
+  report.errors.forEach(error => log(`  error: ${error}`));
+  report.warnings.slice(0, 20).forEach(warning => log(`  warning: ${warning}`));
+  if (report.warnings.length > 20) log(`  ... and ${report.warnings.length - 20} more warnings`);
+}
+
+function buildCatalogEntry(filename, stats) {
+  const [, language, version] = filename.match(BIBLE_FILENAME_PATTERN);
+  const filePath = path.join(BIBLES_DIR, filename);
+  const buffer = fs.readFileSync(filePath);
+
+  let books;
+  try {
+    books = readBibleFile(filePath);
+  } catch (error) {
+    return { entry: null, report: { books: 0, verses: 0, errors: [`not valid JSON: ${error.message}`], warnings: [] } };
+  }
+
+  const report = validateBibleData(books);
+  if (report.errors.length > 0) return { entry: null, report };
+
+  const entry = {
+    url: `/${filename}`,
+    filename,
+    language: language.toLowerCase(),
+    version: version.toUpperCase(),
+    name: `${language.toUpperCase()} - ${version.toUpperCase()}`,
+    books: books.length,
+    versification: report.versification,
+    size: stats.size,
+    hash: sha256(buffer),
+    chunkSize: BIBLE_CHUNK_SIZE,
+    chunks: chunkHashes(buffer)
+  };
+
+  return { entry, report };
+}
+
+function chunkHashes(buffer) {
+  const hashes = [];
+  for (let start = 0; start < buffer.length; start += BIBLE_CHUNK_SIZE) {
+    hashes.push(sha256(buffer.subarray(start, start + BIBLE_CHUNK_SIZE)));
+  }
+  return hashes;
+}
+
+function getBibleCatalog() {
+  let filenames = [];
+  try {
+    filenames = fs.readdirSync(BIBLES_DIR).filter(name => BIBLE_FILENAME_PATTERN.test(name));
+  } catch (error) {
+    console.error(`Error reading translations folder ${BIBLES_DIR}:`, error);
+    return [];
+  }
+
+  const catalog = [];
+  for (const filename of filenames.sort()) {
+    try {
+      const stats = fs.statSync(path.join(BIBLES_DIR, filename));
+      const cached = catalogCache.get(filename);
+
+      if (cached && cached.size === stats.size && cached.mtimeMs === stats.mtimeMs) {
+        if (cached.entry) catalog.push(cached.entry);
+        continue;
+      }
+
+      // Each new or changed file is checked once and its report logged
+      const { entry, report } = buildCatalogEntry(filename, stats);
+      logValidationReport(filename, report);
+      catalogCache.set(filename, { size: stats.size, mtimeMs: stats.mtimeMs, entry });
+      if (entry) catalog.push(entry);
+    } catch (error) {
+      console.error(`Skipping unreadable translation ${filename}:`, error.message);
+    }
+  }
+
+  // Forget files that were removed from the folder
+  for (const filename of catalogCache.keys()) {
+    if (!filenames.includes(filename)) catalogCache.delete(filename);
+  }
+
+  return catalog;
+}
+
+// FILE CACHE - App files are re-read and re-hashed only when their size or mtime changes
+const fileCache = new Map(); // path -> { size, mtimeMs, content, hash }
+
+function readFileCached(filePath) {
+  const stats = fs.statSync(filePath);
+  const cached = fileCache.get(filePath);
+  if (cached && cached.size === stats.size && cached.mtimeMs === stats.mtimeMs) return cached;
+
+  const content = fs.readFileSync(filePath);
+  const entry = { size: stats.size, mtimeMs: stats.mtimeMs, content, hash: sha256(content) };
+  fileCache.set(filePath, entry);
+  return entry;
+}
+
+// COMPRESSION - Text responses are compressed with brotli and gzip once per content
+// version and kept in memory. Large bodies compress in the background and are sent
+// plain until their variants are ready.
+const COMPRESSIBLE_TYPE = /^(text\/|application\/(javascript|json|manifest\+json)|image\/svg\+xml)/;
+const MIN_COMPRESS_SIZE = 1024;
+const SYNC_COMPRESS_SIZE = 256 * 1024;
+const BROTLI_OPTIONS = { params: { [zlib.constants.BROTLI_PARAM_QUALITY]: zlib.constants.BROTLI_MAX_QUALITY } };
+const compressionCache = new Map(); // key -> { hash, br, gzip }
+
+function getEncodedVariants(key, body, hash) {
+  const cached = compressionCache.get(key);
+  if (cached && cached.hash === hash) return cached;
+
+  const entry = { hash, br: null, gzip: null };
+  compressionCache.set(key, entry);
+
+  if (body.length <= SYNC_COMPRESS_SIZE) {
+    entry.gzip = zlib.gzipSync(body, { level: zlib.constants.Z_BEST_COMPRESSION });
+    entry.br = zlib.brotliCompressSync(body, BROTLI_OPTIONS);
+    return entry;
+  }
+
+  gzip(body, { level: zlib.constants.Z_BEST_COMPRESSION })
+    .then(result => { entry.gzip = result; })
+    .catch(error => console.error(`gzip failed for ${key}:`, error.message));
+
+  brotliCompress(body, {
+    params: { ...BROTLI_OPTIONS.params, [zlib.constants.BROTLI_PARAM_SIZE_HINT]: body.length }
+  })
+    .then(result => { entry.br = result; })
+    .catch(error => console.error(`brotli failed for ${key}:`, error.message));
+
+  return entry;
+}
+
+// Sends a body with a strong ETag per encoding and answers 304 when the client copy
+// is current. Content-Type must already be set.
+function sendCached(req, res, key, body, hash = sha256(body)) {
+  const compressible = COMPRESSIBLE_TYPE.test(res.getHeader('Content-Type') || '') && body.length >= MIN_COMPRESS_SIZE;
+  let encoding = 'identity';
+
+  if (compressible) {
+    const variants = getEncodedVariants(key, body, hash);
+    if (variants.br && req.acceptsEncodings('br')) encoding = 'br';
+    else if (variants.gzip && req.acceptsEncodings('gzip')) encoding = 'gzip';
+    res.setHeader('Vary', 'Accept-Encoding');
+  }
+
+  res.setHeader('ETag', encoding === 'identity' ? `"${hash}"` : `"${hash}-${encoding}"`);
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+
+  const payload = encoding === 'identity' ? body : compressionCache.get(key)[encoding];
+  if (encoding !== 'identity') res.setHeader('Content-Encoding', encoding);
+  res.setHeader('Content-Length', payload.length);
+  res.end(payload);
+}
+
+function sendCachedJson(req, res, key, data) {
+  res.setHeader('Content-Type', 'application/json; charset=utf-8');
+  sendCached(req, res, key, Buffer.from(JSON.stringify(data)));
+}
+
+// SPLIT FORMAT - Per-book endpoints derived from the translation files, so the
+// client can render the selectors from a small index and fetch books on demand
+const BOOK_DATA_CACHE_LIMIT = 4;
+const bookDataCache = new Map(); // filename -> { hash, books }, most recently used last
+
+function findCatalogEntry(id) {
+  return getBibleCatalog().find(bible => bible.filename === `${id}.json`) || null;
+}
+
+function getTranslationBooks(entry) {
+  const cached = bookDataCache.get(entry.filename);
+  if (cached && cached.hash === entry.hash) {
+    bookDataCache.delete(entry.filename);
+    bookDataCache.set(entry.filename, cached);
+    return cached.books;
+  }
+
+  const books = readBibleFile(path.join(BIBLES_DIR, entry.filename));
+  bookDataCache.delete(entry.filename);
+  bookDataCache.set(entry.filename, { hash: entry.hash, books });
+
+  if (bookDataCache.size > BOOK_DATA_CACHE_LIMIT) {
+    bookDataCache.delete(bookDataCache.keys().next().value);
+  }
+
+  return books;
 }
+
+// ASSET MANIFEST - What the service worker installs, with a sha256 per file.
+// Critical files are installed all-or-nothing; optional ones never block an update.
+const CORE_ASSETS = [
+  { url: '/', critical: true, source: () => readFileCached(path.join(__dirname, 'index.html')).content },
+  { url: '/index.html', critical: true, source: () => readFileCached(path.join(__dirname, 'index.html')).content },
+  { url: '/main.js', critical: true, source: () => buildMainScript() },
+  { url: '/styles.js', critical: true },
+  { url: '/books.js', critical: true },
+  { url: '/versification.js', critical: true },
+  { url: '/reference.js', critical: true },
+  { url: '/search.js', critical: true },
+  { url: '/personal-data.js', critical: true },
+  { url: '/reading-plans.js', critical: true },
+  { url: '/manifest.json', critical: true },
+  { url: '/api/bibles', critical: true, source: () => buildCatalogResponse() },
+  { url: '/icon-512.png', critical: false },
+  { url: '/icon-192.png', critical: false },
+  { url: '/favicon.ico', critical: false }
+];
+
+function sha256(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+// Hashes are computed over exactly what the routes below send
+function getAssetManifest() {
+  const assets = [];
+
+  for (const asset of CORE_ASSETS) {
+    try {
+      if (asset.source) {
+        const content = asset.source();
+        assets.push({ url: asset.url, hash: sha256(content), size: Buffer.byteLength(content), critical: asset.critical });
+      } else {
+        const file = readFileCached(path.join(__dirname, asset.url.slice(1)));
+        assets.push({ url: asset.url, hash: file.hash, size: file.size, critical: asset.critical });
+      }
+    } catch (error) {
+      // Still listed so the service worker refuses to install an app missing a critical file
+      console.error(`Asset manifest: cannot read ${asset.url}:`, error.message);
+      assets.push({ url: asset.url, hash: null, size: 0, critical: asset.critical });
+    }
+  }
+
+  // Each translation is its own pack, versioned by its content hash
+  const packs = getBibleCatalog().map(bible => ({
+    id: bible.filename.replace(/\.json$/i, ''),
+    url: bible.url,
+    hash: bible.hash,
+    size: bible.size,
+    version: bible.hash.slice(0, 12),
+    chunkSize: bible.chunkSize,
+    chunks: bible.chunks
+  }));
+
+  return { version: CACHE_VERSION, assets, packs };
+}
+
+function buildCatalogResponse() {
+  return JSON.stringify(getBibleCatalog());
+}
+
+function buildMainScript() {
+  // Read the actual main.js file (your existing game/app code)
+  const jsContent = readFileCached(path.join(__dirname, 'main.js')).content.toString('utf8');
+  const rescueModule = readFileCached(path.join(__dirname, 'cache-rescue.js')).content.toString('utf8');
+    
+  // Rescue runs first and registers the service worker; settings injected like the worker's
+  const rescueCode = `${rescueModule}
+// Cache lock rescue settings injected by server
+new CacheRescue(${JSON.stringify(CACHE_RESCUE)}).run();
 `;
     
-    // Prepend rescue code to your existing main.js
-    const finalContent = rescueCode + '\n\n' + jsContent;
+  // Prepend rescue code to your existing main.js
+  return rescueCode + '\n\n' + jsContent;
+}
+
+// Cache Lock Rescue - Intercept main.js to inject rescue code
+app.get('/main.js', (req, res) => {
+  try {
+    const finalContent = buildMainScript();
     
-    res.setHeader('Content-Type', 'application/javascript');
+    res.setHeader('Content-Type', 'application/javascript; charset=utf-8');
     res.setHeader('Cache-Control', 'no-cache');
-    res.send(finalContent);
+    sendCached(req, res, '/main.js', Buffer.from(finalContent));
     
   } catch (error) {
     console.error('Error serving main.js:', error);
@@ -111,11 +475,43 @@ if ('serviceWorker' in navigator) {
   }
 });
 
+// SW ROUTING TABLE - The first pattern matching a same-origin path picks the fetch
+// strategy. Override with SW_ROUTES='[{"pattern":"^/api/","strategy":"network-first"}]'
+const SW_STRATEGIES = ['cache-first', 'network-first', 'stale-while-revalidate', 'network-only'];
+const DEFAULT_SW_ROUTES = [
+  { pattern: '^/api/assets$', strategy: 'network-only' },
+  // Translations only change with the manifest, which installs them itself
+  { pattern: '^/[^/]+_[^/]+\\.json$', strategy: 'cache-first' },
+  { pattern: '^/api/bibles/[^/]+/', strategy: 'stale-while-revalidate' },
+  { pattern: '.*', strategy: 'network-first' }
+];
+
+function getServiceWorkerRoutes() {
+  if (!process.env.SW_ROUTES) return DEFAULT_SW_ROUTES;
+
+  try {
+    const routes = JSON.parse(process.env.SW_ROUTES);
+    if (!Array.isArray(routes)) throw new Error('expected a list of { pattern, strategy }');
+
+    routes.forEach(route => {
+      if (!route || typeof route.pattern !== 'string') throw new Error('every route needs a pattern');
+      new RegExp(route.pattern);
+      if (!SW_STRATEGIES.includes(route.strategy)) throw new Error(`unknown strategy "${route.strategy}"`);
+    });
+    return routes;
+  } catch (error) {
+    console.error('Invalid SW_ROUTES, using the default routing table:', error.message);
+    return DEFAULT_SW_ROUTES;
+  }
+}
+
+const SW_ROUTES = getServiceWorkerRoutes();
+
 // Service Worker with cache-busting headers and version injection
 app.get('/service-worker.js', (req, res) => {
   try {
     // Read your service-worker.js file
-    let swContent = fs.readFileSync(path.join(__dirname, 'service-worker.js'), 'utf8');
+    let swContent = readFileCached(path.join(__dirname, 'service-worker.js')).content.toString('utf8');
     
     // Inject current version into service worker
     const versionInjection = `
@@ -124,17 +520,22 @@ self.SW_CACHE_NAME = self.SW_CACHE_NAME || '${APP_NAME}-${CACHE_VERSION}';
 self.SW_TEMP_CACHE_NAME = self.SW_TEMP_CACHE_NAME || '${APP_NAME}-temp-${CACHE_VERSION}';
 self.SW_FIRST_TIME_TIMEOUT = '${process.env.SW_FIRST_TIME_TIMEOUT || '20000'}'; // Reduced from 30s
 self.SW_RETURNING_USER_TIMEOUT = '${process.env.SW_RETURNING_USER_TIMEOUT || '5000'}';
+self.SW_SLOW_THRESHOLD = '${process.env.SW_SLOW_THRESHOLD || '2000'}';
 self.SW_ENABLE_LOGS = '${process.env.SW_ENABLE_LOGS || 'true'}';
+self.SW_APP_VERSION = '${CACHE_VERSION}';
+self.SW_CHANGELOG = ${JSON.stringify(APP_CHANGELOG)};
+self.SW_ROUTES = ${JSON.stringify(SW_ROUTES)};
+self.SW_ASSET_MANIFEST = ${JSON.stringify(getAssetManifest())};
 `;
     
     swContent = versionInjection + '\n' + swContent;
     
-    // Cache-busting headers
-    res.setHeader('Content-Type', 'application/javascript');
-    res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+    // Cache-busting headers - always revalidated, so an unchanged worker costs a 304
+    res.setHeader('Content-Type', 'application/javascript; charset=utf-8');
+    res.setHeader('Cache-Control', 'no-cache, must-revalidate');
     res.setHeader('Pragma', 'no-cache');
     res.setHeader('Expires', '0');
-    res.send(swContent);
+    sendCached(req, res, '/service-worker.js', Buffer.from(swContent));
     
   } catch (error) {
     console.error('Error serving service worker:', error);
@@ -142,13 +543,202 @@ self.SW_ENABLE_LOGS = '${process.env.SW_ENABLE_LOGS || 'true'}';
   }
 });
 
-app.use(express.static(__dirname));
+// Bible catalog - single source of truth for the client and the service worker
+app.get('/api/bibles', (req, res) => {
+  res.setHeader('Content-Type', 'application/json; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-cache');
+  sendCached(req, res, '/api/bibles', Buffer.from(buildCatalogResponse()));
+});
+
+// Book names, abbrevs and verse counts per chapter - everything the selectors need
+app.get('/api/bibles/:id/index', (req, res) => {
+  const entry = findCatalogEntry(req.params.id);
+  if (!entry) return res.status(404).json({ error: `Unknown translation ${req.params.id}` });
+
+  try {
+    const books = getTranslationBooks(entry).map(book => ({
+      abbrev: book.abbrev,
+      name: book.name,
+      verses: (book.chapters || []).map(chapter => chapter.length)
+    }));
+
+    res.setHeader('Cache-Control', 'no-cache');
+    sendCachedJson(req, res, req.path, { id: req.params.id, hash: entry.hash, books });
+  } catch (error) {
+    console.error(`Error building index for ${entry.filename}:`, error);
+    res.status(500).json({ error: 'Could not read translation' });
+  }
+});
+
+app.get('/api/bibles/:id/books/:abbrev', (req, res) => {
+  const entry = findCatalogEntry(req.params.id);
+  if (!entry) return res.status(404).json({ error: `Unknown translation ${req.params.id}` });
+
+  try {
+    const book = getTranslationBooks(entry).find(candidate => candidate.abbrev === req.params.abbrev);
+    if (!book) return res.status(404).json({ error: `Unknown book ${req.params.abbrev}` });
+
+    res.setHeader('Cache-Control', 'no-cache');
+    sendCachedJson(req, res, req.path, { abbrev: book.abbrev, name: book.name, hash: entry.hash, chapters: book.chapters || [] });
+  } catch (error) {
+    console.error(`Error reading ${req.params.abbrev} from ${entry.filename}:`, error);
+    res.status(500).json({ error: 'Could not read translation' });
+  }
+});
 
-app.get('/', (req, res) => {
-  res.sendFile(path.join(__dirname, 'index.html'));
+// Same manifest the service worker receives, for tooling and debugging
+app.get('/api/assets', (req, res) => {
+  res.setHeader('Cache-Control', 'no-cache');
+  sendCachedJson(req, res, '/api/assets', getAssetManifest());
 });
 
+// Single "bytes=start-end" range, or null for the whole file
+function parseRange(header, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header || '');
+  if (!match || (match[1] === '' && match[2] === '')) return null;
+
+  let start;
+  let end;
+  if (match[1] === '') {
+    start = Math.max(0, size - parseInt(match[2], 10));
+    end = size - 1;
+  } else {
+    start = parseInt(match[1], 10);
+    end = match[2] === '' ? size - 1 : Math.min(parseInt(match[2], 10), size - 1);
+  }
+
+  return start <= end && start < size ? { start, end } : { unsatisfiable: true };
+}
+
+// Sends at roughly BIBLE_THROTTLE_KBPS and may drop the connection partway
+function sendSimulatedFlakyNetwork(buffer, res) {
+  const bytesPerTick = Math.max(1, Math.round((BIBLE_THROTTLE_KBPS || 1024) * 1024 / 10));
+  const cutAt = Math.random() < BIBLE_INTERRUPT_RATE ? Math.floor(Math.random() * buffer.length) : null;
+  let offset = 0;
+
+  const tick = setInterval(() => {
+    const next = Math.min(offset + bytesPerTick, buffer.length);
+
+    if (cutAt !== null && next >= cutAt) {
+      clearInterval(tick);
+      res.write(buffer.subarray(offset, cutAt));
+      res.destroy();
+      return;
+    }
+
+    res.write(buffer.subarray(offset, next));
+    offset = next;
+    if (offset >= buffer.length) {
+      clearInterval(tick);
+      res.end();
+    }
+  }, 100);
+
+  res.on('close', () => clearInterval(tick));
+}
+
+// Translation files - Range requests let the service worker resume large downloads
+app.get('/:filename', (req, res, next) => {
+  if (!BIBLE_FILENAME_PATTERN.test(req.params.filename)) return next();
+
+  // Files that failed validation stay unreachable, not left to the static handlers below
+  const entry = getBibleCatalog().find(bible => bible.filename === req.params.filename);
+  if (!entry) return res.status(404).json({ error: `Unknown translation ${req.params.filename}` });
+
+  const etag = `"${entry.hash}"`;
+  const ifRange = req.headers['if-range'];
+  const range = !ifRange || ifRange === etag ? parseRange(req.headers.range, entry.size) : null;
+
+  res.setHeader('Content-Type', 'application/json; charset=utf-8');
+  res.setHeader('Accept-Ranges', 'bytes');
+  res.setHeader('Cache-Control', 'no-cache');
+
+  const filePath = path.join(BIBLES_DIR, entry.filename);
+  const flaky = BIBLE_THROTTLE_KBPS || BIBLE_INTERRUPT_RATE;
+
+  // Whole file: compressed and revalidated like any other response. Ranges always
+  // address the uncompressed bytes the chunk hashes were computed on.
+  if (!range && !flaky) {
+    return sendCached(req, res, req.path, readFileCached(filePath).content, entry.hash);
+  }
+
+  res.setHeader('ETag', etag);
+
+  if (range && range.unsatisfiable) {
+    res.setHeader('Content-Range', `bytes */${entry.size}`);
+    return res.status(416).end();
+  }
+
+  const { start, end } = range || { start: 0, end: entry.size - 1 };
+  if (range) {
+    res.status(206);
+    res.setHeader('Content-Range', `bytes ${start}-${end}/${entry.size}`);
+  }
+  res.setHeader('Content-Length', end - start + 1);
+
+  if (flaky) {
+    return sendSimulatedFlakyNetwork(fs.readFileSync(filePath).subarray(start, end + 1), res);
+  }
+
+  const stream = fs.createReadStream(filePath, { start, end });
+  stream.on('error', error => {
+    console.error(`Error streaming ${entry.filename}:`, error);
+    res.destroy();
+  });
+  stream.pipe(res);
+});
+
+// Deep links to a passage (/read/es_rvr/jo/3/16) are handled client-side
+app.get('/read/*', (req, res) => {
+  const indexFile = readFileCached(path.join(__dirname, 'index.html'));
+  res.setHeader('Content-Type', 'text/html; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-cache');
+  sendCached(req, res, '/index.html', indexFile.content, indexFile.hash);
+});
+
+// App files - strong ETags and compression (express.static only has weak validators)
+app.get('*', (req, res, next) => {
+  let relativePath;
+  try {
+    relativePath = req.path === '/' ? 'index.html' : decodeURIComponent(req.path).replace(/^\/+/, '');
+  } catch (error) {
+    return next();
+  }
+
+  const filePath = path.join(__dirname, relativePath);
+  if (!filePath.startsWith(__dirname + path.sep) || relativePath.split('/').some(part => part.startsWith('.'))) {
+    return next();
+  }
+
+  let file;
+  try {
+    file = readFileCached(filePath);
+  } catch (error) {
+    return next(); // missing file or a directory
+  }
+
+  res.type(path.extname(filePath));
+  res.setHeader('Cache-Control', 'no-cache');
+  sendCached(req, res, relativePath === 'index.html' ? '/index.html' : req.path, file.content, file.hash);
+});
+
+app.use(express.static(__dirname));
+
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => {
   console.log(`Server running at http://localhost:${PORT}`);
+
+  // Every translation file is checked here, at startup (see validateBibleData)
+  const catalog = getBibleCatalog();
+  const rejected = catalogCache.size - catalog.length;
+  console.log(`Translations: ${catalog.length} advertised${rejected > 0 ? `, ${rejected} rejected` : ''}`);
+
+  // Compress the big translation files up front instead of on their first request
+  for (const bible of catalog) {
+    try {
+      getEncodedVariants(bible.url, readFileCached(path.join(BIBLES_DIR, bible.filename)).content, bible.hash);
+    } catch (error) {
+      console.error(`Could not precompress ${bible.filename}:`, error.message);
+    }
+  }
 });
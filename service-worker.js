@@ -32,12 +32,13 @@
  *    - No partial updates - either complete success or use cache
  * 
  * 4. CRITICAL FILES POLICY
- *    - ALL manifest files are critical (no optional resources)
- *    - Failed fetch on any critical file = fallback to cached version
+ *    - Core app files are critical, icons are optional (see the asset manifest)
+ *    - Failed fetch or hash mismatch on any critical file = fallback to cached version
  *    - Never serve a mix of new/old files (consistency requirement)
+ *    - Translations are independent packs: one missing Bible never blocks an update
  * 
  * 5. CACHE MANAGEMENT
- *    - Complete atomic updates only (all files or none)
+ *    - Complete atomic updates of the core files (all files or none)
  *    - Old cache versions must be cleaned up properly
  *    - Cache corruption protection (verify all files present)
  * 
@@ -47,6 +48,21 @@
  *    - Background updates when possible, no blocking
  *    - Clear feedback when updates are available
  * 
+ * 7. CONNECTIVITY
+ *    - navigator.onLine is only trusted when it says offline (captive portals,
+ *      flaky mobile links report online); real request outcomes decide the rest
+ *    - Two failures in a row = offline: serve cache at once, probe for recovery
+ *    - Median latency above SLOW_THRESHOLD = slow
+ *    - State changes are broadcast to the page as { action: 'connectivity' }
+ * 
+ * 8. ROUTING TABLE (SW_ROUTES, injected by the server)
+ *    - First matching path pattern picks the strategy; network-first otherwise
+ *    - cache-first: cache, else wait for the network like a first-time user
+ *    - stale-while-revalidate: cache at once, refresh in the background
+ *    - network-only: never cached (manifest, partial Range requests)
+ *    - Background refresh never swaps one core file: a changed core file
+ *      means a new manifest, so it asks for a full update (rules 3 and 5)
+ * 
  * IMPLEMENTATION NOTES:
  * - Detect first-time vs returning users by cache presence
  * - Use different timeout strategies to adapt to worst and best conditions (what can do more can do less)
@@ -60,7 +76,10 @@ const CONFIG = {
   TEMP_CACHE_NAME: self.SW_TEMP_CACHE_NAME || 'baiboly-temp-v2',
   FIRST_TIME_TIMEOUT: parseInt(self.SW_FIRST_TIME_TIMEOUT) || 30000, // 30 seconds
   RETURNING_USER_TIMEOUT: parseInt(self.SW_RETURNING_USER_TIMEOUT) || 5000, // 5 seconds
-  ENABLE_LOGS: self.SW_ENABLE_LOGS !== 'false' // true by default, false if set to 'false'
+  SLOW_THRESHOLD: parseInt(self.SW_SLOW_THRESHOLD) || 2000, // median latency above this = slow
+  ENABLE_LOGS: self.SW_ENABLE_LOGS !== 'false', // true by default, false if set to 'false'
+  APP_VERSION: self.SW_APP_VERSION || '',
+  CHANGELOG: self.SW_CHANGELOG || ''
 };
 
 // Extract app name from current cache name dynamically
@@ -75,20 +94,131 @@ function getAppPrefix(cacheName) {
 const LIVE_CACHE = CONFIG.CACHE_NAME;
 const TEMP_CACHE = CONFIG.TEMP_CACHE_NAME;
 
-const ASSETS = [
-  '/',
-  '/index.html',
-  '/main.js',
-  '/styles.js',
-  '/manifest.json',
-  '/icon-512.png',
-  '/icon-192.png',
-  '/es_rvr.json',
-  '/ru_synodal.json',
-  '/en_kjv.json',
-  '/zh_cuv.json',
-  '/favicon.ico'
-];
+// Asset manifest injected by the server: core files with a sha256 and a critical
+// flag, plus one pack per translation. Any content change changes this script,
+// which is what triggers a new install.
+const ASSET_MANIFEST = self.SW_ASSET_MANIFEST || { assets: [], packs: [] };
+const ASSETS = ASSET_MANIFEST.assets;
+const PACKS = ASSET_MANIFEST.packs || [];
+
+// Each translation lives in its own cache, named after its content version
+const PACK_CACHE_PREFIX = `${getAppPrefix(LIVE_CACHE)}-pack-`;
+
+function getPackCacheName(pack) {
+  return `${PACK_CACHE_PREFIX}${pack.id}-${pack.version}`;
+}
+
+// Verified chunks of unfinished downloads, kept across pauses, dropped connections and restarts
+const PARTIAL_CACHE_PREFIX = `${getAppPrefix(LIVE_CACHE)}-partial-`;
+const CHUNK_RETRIES = 4;
+
+function getPartialCacheName(pack) {
+  return `${PARTIAL_CACHE_PREFIX}${pack.id}-${pack.version}`;
+}
+
+function findPack(url) {
+  const pathname = new URL(url, self.location.origin).pathname;
+  return PACKS.find(pack => pack.url === pathname) || null;
+}
+
+// Client-side passage routes (/read/<bible>/<book>/<chapter>) all render the app shell
+const APP_ROUTE_PREFIX = '/read/';
+
+function isAppRoute(url) {
+  return new URL(url, self.location.origin).pathname.startsWith(APP_ROUTE_PREFIX);
+}
+
+// Routing table injected by the server: [{ pattern, strategy }], first match wins
+const STRATEGIES = ['cache-first', 'network-first', 'stale-while-revalidate', 'network-only'];
+const ROUTES = (self.SW_ROUTES || [])
+  .filter(route => STRATEGIES.includes(route.strategy))
+  .map(route => ({ pattern: new RegExp(route.pattern), strategy: route.strategy }));
+
+function getStrategy(request) {
+  const pathname = new URL(request.url).pathname;
+  const route = ROUTES.find(candidate => candidate.pattern.test(pathname));
+  return route ? route.strategy : 'network-first';
+}
+
+function findAsset(url) {
+  const pathname = new URL(url, self.location.origin).pathname;
+  return ASSETS.find(asset => asset.url === pathname) || null;
+}
+
+// Connectivity as seen by real requests: 'online', 'slow' or 'offline'
+const PROBE_INTERVAL = 15000;
+const connectivity = { state: 'online', failures: 0, latencies: [], lastProbe: 0 };
+
+function getMedianLatency() {
+  const sorted = [...connectivity.latencies].sort((a, b) => a - b);
+  return sorted.length > 0 ? sorted[Math.floor(sorted.length / 2)] : null;
+}
+
+async function setConnectivity(state) {
+  if (connectivity.state === state) return;
+  
+  connectivity.state = state;
+  log(`Connectivity is now ${state}`);
+  
+  const clients = await self.clients.matchAll();
+  clients.forEach(client => {
+    client.postMessage({ action: 'connectivity', state, latency: getMedianLatency() });
+  });
+}
+
+function recordNetworkSuccess(latency) {
+  connectivity.failures = 0;
+  connectivity.latencies = [...connectivity.latencies.slice(-4), latency];
+  setConnectivity(getMedianLatency() > CONFIG.SLOW_THRESHOLD ? 'slow' : 'online');
+}
+
+// One miss can be a hiccup; two in a row is an outage
+function recordNetworkFailure(timedOut) {
+  connectivity.failures++;
+  if (connectivity.failures >= 2) {
+    setConnectivity('offline');
+  } else if (timedOut) {
+    setConnectivity('slow');
+  }
+}
+
+// fetch() with a time limit; every outcome feeds the connectivity state
+async function fetchTracked(request, timeout, timeoutMessage = 'Network request timeout') {
+  const started = Date.now();
+  let timer;
+  const timeoutPromise = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(timeoutMessage)), timeout);
+  });
+  
+  try {
+    const response = await Promise.race([fetch(request), timeoutPromise]);
+    
+    // A captive portal answers for the server from somewhere else
+    if (response.redirected && new URL(response.url).origin !== self.location.origin) {
+      throw new Error(`Redirected to ${new URL(response.url).origin} - captive portal?`);
+    }
+    
+    recordNetworkSuccess(Date.now() - started);
+    return response;
+  } catch (error) {
+    recordNetworkFailure(error.message.includes('timeout'));
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// While offline, a small request now and then finds out when the network is back
+async function probeConnectivity(force = false) {
+  if (!force && Date.now() - connectivity.lastProbe < PROBE_INTERVAL) return;
+  connectivity.lastProbe = Date.now();
+  
+  try {
+    await fetchTracked(new Request(`${self.location.origin}/manifest.json`, { cache: 'no-store' }), CONFIG.RETURNING_USER_TIMEOUT);
+  } catch (error) {
+    log(`Connectivity probe failed: ${error.message}`);
+  }
+}
 
 // Logging helper
 function log(message) {
@@ -97,81 +227,193 @@ function log(message) {
   }
 }
 
-// Install: Download all assets into a temporary cache.
+async function sha256Hex(buffer) {
+  const digest = await crypto.subtle.digest('SHA-256', buffer);
+  return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// Fetch a manifest entry; it only reaches a cache if its content matches the manifest hash
+async function fetchVerified(entry) {
+  const response = await fetch(entry.url, { cache: 'no-store' });
+  if (!response.ok) {
+    throw new Error(`Failed to fetch ${entry.url}: ${response.status}`);
+  }
+  
+  const hash = await sha256Hex(await response.clone().arrayBuffer());
+  if (hash !== entry.hash) {
+    throw new Error(`Hash mismatch for ${entry.url}`);
+  }
+  
+  return response;
+}
+
+// Ids of translations the user has downloaded, whatever their version
+async function getInstalledPackIds() {
+  const cacheNames = await caches.keys();
+  return cacheNames
+    .filter(name => name.startsWith(PACK_CACHE_PREFIX))
+    .map(name => name.slice(PACK_CACHE_PREFIX.length, name.lastIndexOf('-')));
+}
+
+// Downloaded translations are kept up to date one by one; a pack that fails is
+// simply retried on the next install. Others wait for the user to download them.
+async function installPacks() {
+  const installedIds = await getInstalledPackIds();
+  
+  await Promise.all(PACKS.filter(pack => installedIds.includes(pack.id)).map(async pack => {
+    if (await caches.has(getPackCacheName(pack))) {
+      log(`Pack ${pack.id} ${pack.version} already installed`);
+      return;
+    }
+    
+    await downloadPack(pack);
+  }));
+}
+
+// Drop packs no longer in the manifest, and older versions once the current one is installed.
+// An old version stays usable while its update keeps failing.
+async function prunePacks() {
+  const cacheNames = await caches.keys();
+  const stale = cacheNames.filter(name => {
+    // Partial downloads of a version that is no longer current
+    if (name.startsWith(PARTIAL_CACHE_PREFIX)) {
+      return !PACKS.some(pack => getPartialCacheName(pack) === name);
+    }
+    
+    if (!name.startsWith(PACK_CACHE_PREFIX)) return false;
+    
+    const id = name.slice(PACK_CACHE_PREFIX.length, name.lastIndexOf('-'));
+    const pack = PACKS.find(candidate => candidate.id === id);
+    if (!pack) return true;
+    
+    const currentName = getPackCacheName(pack);
+    return name !== currentName && cacheNames.includes(currentName);
+  });
+  
+  log(`Deleting ${stale.length} stale packs`);
+  await Promise.all(stale.map(name => caches.delete(name)));
+}
+
+// Install: Stage the core assets in a temporary cache, then install translation packs.
+// A critical asset that fails or doesn't match its hash fails the whole install,
+// so the current version keeps running untouched.
 self.addEventListener('install', event => {
   console.log('Service Worker: Installing...');
-  self.skipWaiting(); // Force immediate activation
+  
+  // First install activates at once; updates wait until the reader chooses to
+  // reload (SKIP_WAITING), so an open page never runs on a swapped cache
+  if (!self.registration.active) {
+    self.skipWaiting();
+  }
   
   event.waitUntil(
-    caches.open(TEMP_CACHE).then(tempCache => {
-      return Promise.all(
-        ASSETS.map(url => {
-          return fetch(url).then(response => {
-            if (!response.ok) {
-              throw new Error(`Failed to fetch ${url}: ${response.status}`);
-            }
-            console.log(`Service Worker: Cached ${url}`);
-            return tempCache.put(url, response.clone());
-          }).catch(error => {
-            console.error(`Service Worker: Failed to cache ${url}:`, error);
-            // Continue with other assets even if one fails
-            return null;
-          });
+    (async () => {
+      await caches.delete(TEMP_CACHE);
+      const tempCache = await caches.open(TEMP_CACHE);
+      
+      const staged = await Promise.all(
+        ASSETS.map(async asset => {
+          try {
+            await tempCache.put(asset.url, await fetchVerified(asset));
+            log(`Staged ${asset.url}`);
+            return true;
+          } catch (error) {
+            console.error(`Service Worker: Failed to stage ${asset.url}:`, error);
+            return !asset.critical;
+          }
         })
       );
-    })
+      
+      if (staged.includes(false)) {
+        await caches.delete(TEMP_CACHE);
+        throw new Error('Critical asset missing or corrupted - keeping current version');
+      }
+      
+      await installPacks();
+    })().then(
+      () => recordLifecycle('install'),
+      async error => {
+        await recordLifecycle('install', error);
+        throw error;
+      }
+    )
   );
 });
 
-// Activate: Replace live cache ONLY if ALL assets are staged
+// Activate: Replace live cache ONLY if ALL critical assets are staged
 self.addEventListener('activate', event => {
   console.log('Service Worker: Activating...');
   event.waitUntil(
     (async () => {
       const tempCache = await caches.open(TEMP_CACHE);
       const cachedRequests = await tempCache.keys();
+      const stagedUrls = cachedRequests.map(request => new URL(request.url).pathname);
+      const missingCritical = ASSETS.filter(asset => asset.critical && !stagedUrls.includes(asset.url));
       
-      // ALL ASSETS ARE CRITICAL - Strict verification
-      if (cachedRequests.length === ASSETS.length) {
-        console.log('Service Worker: ALL assets staged successfully, updating live cache');
+      // Critical assets - strict verification
+      if (missingCritical.length === 0) {
+        console.log('Service Worker: All critical assets staged successfully, updating live cache');
+        
+        // Optional files that failed this time keep their previous copy
+        const carriedOver = [];
+        for (const asset of ASSETS) {
+          if (stagedUrls.includes(asset.url)) continue;
+          const previous = await caches.match(asset.url);
+          if (previous) carriedOver.push([asset.url, previous]);
+        }
         
         // Complete atomic replacement
         await caches.delete(LIVE_CACHE);
         const liveCache = await caches.open(LIVE_CACHE);
         
-        // Copy ALL assets from temp cache to live cache
+        // Copy ALL staged assets from temp cache to live cache
         for (const request of cachedRequests) {
           const response = await tempCache.match(request);
           await liveCache.put(request, response);
         }
+        for (const [url, response] of carriedOver) {
+          await liveCache.put(url, response);
+        }
         
         // Clean temp cache
         await caches.delete(TEMP_CACHE);
 
-        // Clean up old version caches
+        // Clean up old version caches (translation packs are versioned separately)
         const allCacheNames = await caches.keys();
         const currentAppPrefix = getAppPrefix(LIVE_CACHE); // Extract 'sakafokana' dynamically
         const oldCaches = allCacheNames.filter(cacheName => 
           cacheName.startsWith(currentAppPrefix + '-') &&  // Dynamic prefix!
+          !cacheName.startsWith(PACK_CACHE_PREFIX) &&
+          !cacheName.startsWith(PARTIAL_CACHE_PREFIX) &&
           cacheName !== LIVE_CACHE && 
-          cacheName !== TEMP_CACHE
+          cacheName !== TEMP_CACHE &&
+          cacheName !== META_CACHE
         );
         
         console.log(`Service Worker: Deleting ${oldCaches.length} old caches:`, oldCaches);
         await Promise.all(oldCaches.map(cacheName => caches.delete(cacheName)));
+        await prunePacks();
 
         
         // Notify clients that new version is ready
         const clients = await self.clients.matchAll();
         clients.forEach(client => {
-          client.postMessage({ action: 'reload', message: 'App updated - all assets ready' });
+          client.postMessage({
+            action: 'reload',
+            message: 'App updated - all assets ready',
+            version: CONFIG.APP_VERSION,
+            changelog: CONFIG.CHANGELOG
+          });
         });
         
         console.log('Service Worker: Cache replacement completed successfully');
+        await recordLifecycle('activate');
       } else {
-        // FAILURE: Not all assets → Keep old version
-        console.error(`Service Worker: Incomplete staging - expected ${ASSETS.length}, got ${cachedRequests.length}. Keeping old cache.`);
+        // FAILURE: Not all critical assets → Keep old version
+        const reason = `Incomplete staging - missing ${missingCritical.map(asset => asset.url).join(', ')}`;
+        console.error(`Service Worker: ${reason}. Keeping old cache.`);
         await caches.delete(TEMP_CACHE);
+        await recordLifecycle('activate', new Error(reason));
       }
       
       // Take control of all open tabs immediately
@@ -184,19 +426,36 @@ self.addEventListener('activate', event => {
 self.addEventListener('fetch', event => {
   // Only handle same-origin requests, let browser handle external domains naturally
   if (event.request.url.startsWith(self.location.origin)) {
-    event.respondWith(handleFetch(event.request));
+    event.respondWith(handleFetch(event.request, event));
   }
   // External domains like analytics.kahiether.com pass through automatically
 });
 
-async function handleFetch(request) {
+async function handleFetch(request, event) {
   try {
-    // Check if we're offline
+    const strategy = getStrategy(request);
+    
+    // Partial responses can't be served from (or stored in) the cache
+    if (strategy === 'network-only' || request.headers.has('range')) {
+      return await fetchTracked(request, CONFIG.FIRST_TIME_TIMEOUT);
+    }
+    
+    // Check if we're offline - navigator.onLine is only reliable when false
     if (!navigator.onLine) {
       console.log(`Service Worker: No internet - serving from cache: ${request.url}`);
+      setConnectivity('offline');
       return await serveFromCache(request);
     }
     
+    // Recent requests failed - don't make the reader wait for another timeout
+    if (connectivity.state === 'offline') {
+      const cachedResponse = await findInCache(request);
+      if (cachedResponse) {
+        if (event) event.waitUntil(probeConnectivity());
+        return cachedResponse;
+      }
+    }
+    
     // Online - check if this is a first-time user (no cache)
     const hasCache = await checkIfCacheExists();
     
@@ -205,6 +464,14 @@ async function handleFetch(request) {
       return await fetchFromNetworkWithExtendedTimeout(request);
     }
     
+    if (strategy === 'cache-first') {
+      return await fetchFromCacheFirst(request);
+    }
+    
+    if (strategy === 'stale-while-revalidate') {
+      return await fetchStaleWhileRevalidate(request, event);
+    }
+    
     // Existing user with cache - try network with short timeout
     console.log(`Service Worker: Existing user - trying network with fallback: ${request.url}`);
     return await fetchFromNetworkWithFallback(request);
@@ -230,23 +497,19 @@ async function fetchFromNetworkWithExtendedTimeout(request) {
     console.log(`Service Worker: First time user - extended network timeout: ${request.url}`);
     
     // Extended timeout for first-time users (30 seconds)
-    const timeoutPromise = new Promise((_, reject) => {
-      setTimeout(() => reject(new Error('Network request timeout - first time user')), CONFIG.FIRST_TIME_TIMEOUT);
-    });
-    
-    const networkResponse = await Promise.race([
-      fetch(request),
-      timeoutPromise
-    ]);
+    const networkResponse = await fetchTracked(request, CONFIG.FIRST_TIME_TIMEOUT, 'Network request timeout - first time user');
     
     if (!networkResponse.ok) {
       throw new Error(`Server error: ${networkResponse.status}`);
     }
     
+    if (isAppRoute(request.url)) {
+      return networkResponse;
+    }
+    
     // SUCCESS: Cache for future use
     console.log(`Service Worker: First time success - caching: ${request.url}`);
-    const cache = await caches.open(LIVE_CACHE);
-    cache.put(request, networkResponse.clone());
+    cacheResponse(request, networkResponse.clone());
     
     return networkResponse;
     
@@ -281,16 +544,8 @@ async function fetchFromNetworkWithFallback(request) {
   try {
     console.log(`Service Worker: Attempting network request: ${request.url}`);
     
-    // Create timeout promise (5 seconds max wait)
-    const timeoutPromise = new Promise((_, reject) => {
-      setTimeout(() => reject(new Error('Network request timeout')), CONFIG.RETURNING_USER_TIMEOUT);
-    });
-    
-    // Race between network request and timeout
-    const networkResponse = await Promise.race([
-      fetch(request),
-      timeoutPromise
-    ]);
+    // Short timeout (5 seconds max wait)
+    const networkResponse = await fetchTracked(request, CONFIG.RETURNING_USER_TIMEOUT);
     
     // CRITICAL CHECK: Server error?
     if (!networkResponse.ok) {
@@ -298,10 +553,14 @@ async function fetchFromNetworkWithFallback(request) {
       return await serveFromCache(request);
     }
     
+    // Passage routes are the app shell - don't fill the cache with one copy per passage
+    if (isAppRoute(request.url)) {
+      return networkResponse;
+    }
+    
     // NETWORK SUCCESS: Cache it and return
     console.log(`Service Worker: Network success for ${request.url} - caching response`);
-    const cache = await caches.open(LIVE_CACHE);
-    cache.put(request, networkResponse.clone());
+    cacheResponse(request, networkResponse.clone());
     
     return networkResponse;
     
@@ -316,7 +575,81 @@ async function fetchFromNetworkWithFallback(request) {
   }
 }
 
-// Remove background update function - not needed for network-first strategy
+async function findInCache(request) {
+  return (await caches.match(request)) || (await findFallbackInCache(request));
+}
+
+// Nothing cached means nothing to fall back to, so wait for the network like a first-time user
+async function fetchFromCacheFirst(request) {
+  const cachedResponse = await findInCache(request);
+  if (cachedResponse) {
+    return cachedResponse;
+  }
+  
+  return await fetchFromNetworkWithExtendedTimeout(request);
+}
+
+async function fetchStaleWhileRevalidate(request, event) {
+  const cachedResponse = await findInCache(request);
+  if (!cachedResponse) {
+    return await fetchFromNetworkWithExtendedTimeout(request);
+  }
+  
+  const revalidation = revalidate(request);
+  if (event) event.waitUntil(revalidation);
+  
+  return cachedResponse;
+}
+
+// Background refresh. Core files are never replaced one at a time: when one changed,
+// the manifest changed too, so ask for the new version and let it install atomically
+async function revalidate(request) {
+  try {
+    const networkResponse = await fetchTracked(request, CONFIG.FIRST_TIME_TIMEOUT);
+    if (!networkResponse.ok) return;
+    
+    const asset = findAsset(isAppRoute(request.url) ? '/' : request.url);
+    if (asset) {
+      const hash = await sha256Hex(await networkResponse.arrayBuffer());
+      if (hash !== asset.hash) {
+        log(`${asset.url} changed on the server - checking for a new version`);
+        await self.registration.update();
+      }
+      return;
+    }
+    
+    if (!isAppRoute(request.url)) {
+      await cacheResponse(request, networkResponse);
+    }
+  } catch (error) {
+    log(`Background revalidation failed for ${request.url}: ${error.message}`);
+  }
+}
+
+// Translations are only cached when downloaded (refreshing their pack), and only when they match the manifest
+async function cacheResponse(request, response) {
+  try {
+    const pack = findPack(request.url);
+    
+    if (!pack) {
+      const cache = await caches.open(LIVE_CACHE);
+      await cache.put(request, response);
+      return;
+    }
+    
+    const installedIds = await getInstalledPackIds();
+    if (!installedIds.includes(pack.id)) return;
+    
+    const hash = await sha256Hex(await response.clone().arrayBuffer());
+    if (hash === pack.hash) {
+      const cache = await caches.open(getPackCacheName(pack));
+      await cache.put(pack.url, response);
+      await prunePacks();
+    }
+  } catch (error) {
+    console.warn(`Service Worker: Could not cache ${request.url}:`, error);
+  }
+}
 
 async function findFallbackInCache(request) {
   const cache = await caches.open(LIVE_CACHE);
@@ -326,9 +659,9 @@ async function findFallbackInCache(request) {
     // 1. Exact match (already tested but retry)
     request.url,
     
-    // 2. If HTML page, serve index.html (SPA)
-    request.destination === 'document' ? '/' : null,
-    request.destination === 'document' ? '/index.html' : null,
+    // 2. If HTML page or passage route, serve index.html (SPA)
+    request.destination === 'document' || isAppRoute(request.url) ? '/' : null,
+    request.destination === 'document' || isAppRoute(request.url) ? '/index.html' : null,
     
     // 3. If asset, try without query string
     request.url.split('?')[0],
@@ -365,18 +698,431 @@ self.addEventListener('message', event => {
     self.skipWaiting();
   }
   
+  // Lets the page describe a waiting update before activating it
+  if (event.data && event.data.type === 'VERSION_INFO') {
+    event.ports[0].postMessage({ version: CONFIG.APP_VERSION, changelog: CONFIG.CHANGELOG });
+  }
+  
+  // Connectivity indicator; probe: true re-checks at once (the page saw an 'online' event)
+  if (event.data && event.data.type === 'CONNECTIVITY') {
+    const check = event.data.probe ? probeConnectivity(true) : Promise.resolve();
+    event.waitUntil(check.then(() => {
+      event.ports[0].postMessage({ state: connectivity.state, latency: getMedianLatency() });
+    }));
+  }
+  
+  // Diagnostics panel
+  if (event.data && event.data.type === 'DIAGNOSTICS') {
+    event.waitUntil(getDiagnostics().then(info => event.ports[0].postMessage(info)));
+  }
+  
+  if (event.data && event.data.type === 'VERIFY_INTEGRITY') {
+    event.waitUntil(verifyIntegrity().then(result => event.ports[0].postMessage(result)));
+  }
+  
+  if (event.data && event.data.type === 'REPAIR') {
+    event.waitUntil(repairCaches().then(result => event.ports[0].postMessage(result)));
+  }
+  
+  if (event.data && event.data.type === 'RESET_EVERYTHING') {
+    event.waitUntil(resetEverything().then(result => event.ports[0].postMessage(result)));
+  }
+  
   if (event.data && event.data.type === 'CACHE_INFO') {
     getCacheInfo().then(info => {
       event.ports[0].postMessage(info);
     });
   }
+  
+  // Download manager
+  if (event.data && event.data.type === 'PACK_STATUS') {
+    getPackStatus().then(packs => {
+      event.ports[0].postMessage({ packs });
+    });
+  }
+  
+  const pack = event.data && event.data.id ? PACKS.find(candidate => candidate.id === event.data.id) : null;
+  
+  if (event.data && event.data.type === 'DOWNLOAD_PACK' && pack) {
+    event.waitUntil(downloadPack(pack));
+  }
+  
+  if (event.data && event.data.type === 'PAUSE_PACK' && pack) {
+    pausePack(pack);
+  }
+  
+  if (event.data && event.data.type === 'REMOVE_PACK' && pack) {
+    event.waitUntil(removePack(pack));
+  }
 });
 
+// DOWNLOAD MANAGER - Translations the user chose to keep offline.
+// Progress is broadcast to every open tab as { action: 'packProgress', ... }.
+const packDownloads = new Map(); // pack id -> { state, received, controller, error }
+
+async function getPackStatus() {
+  const cacheNames = await caches.keys();
+  
+  return Promise.all(PACKS.map(async pack => {
+    const currentName = getPackCacheName(pack);
+    const installedName = cacheNames.find(name => name.startsWith(`${PACK_CACHE_PREFIX}${pack.id}-`));
+    const download = packDownloads.get(pack.id);
+    
+    // A download interrupted by a restart shows up as paused where it stopped
+    let state = download ? download.state : 'idle';
+    let received = download ? download.received : 0;
+    if (!download && cacheNames.includes(getPartialCacheName(pack))) {
+      state = 'paused';
+      received = getReceivedBytes(pack, await getStoredChunks(pack));
+    }
+    
+    return {
+      id: pack.id,
+      url: pack.url,
+      size: pack.size,
+      version: pack.version,
+      installed: Boolean(installedName),
+      upToDate: cacheNames.includes(currentName),
+      state,
+      received,
+      error: download ? download.error : null
+    };
+  }));
+}
+
+async function notifyPackProgress(pack, state, extra = {}) {
+  const download = packDownloads.get(pack.id);
+  const clients = await self.clients.matchAll();
+  clients.forEach(client => {
+    client.postMessage({
+      action: 'packProgress',
+      id: pack.id,
+      state,
+      received: download ? download.received : 0,
+      total: pack.size,
+      ...extra
+    });
+  });
+}
+
+function getChunkKey(pack, index) {
+  return `${pack.url}?chunk=${index}`;
+}
+
+function getChunkLength(pack, index) {
+  return Math.min(pack.chunkSize, pack.size - index * pack.chunkSize);
+}
+
+async function getStoredChunks(pack) {
+  const partial = await caches.open(getPartialCacheName(pack));
+  const keys = await partial.keys();
+  return new Set(keys.map(request => parseInt(new URL(request.url).searchParams.get('chunk'), 10)));
+}
+
+function getReceivedBytes(pack, storedChunks) {
+  let received = 0;
+  storedChunks.forEach(index => {
+    received += getChunkLength(pack, index);
+  });
+  return received;
+}
+
+// One chunk by Range request, retried with backoff when the connection drops
+async function fetchChunk(pack, index, signal) {
+  const start = index * pack.chunkSize;
+  const end = start + getChunkLength(pack, index) - 1;
+  
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const started = Date.now();
+      const response = await fetch(pack.url, {
+        headers: { Range: `bytes=${start}-${end}`, 'If-Range': `"${pack.hash}"` },
+        cache: 'no-store',
+        signal
+      });
+      
+      // Only a usable answer says the connection is healthy; 416 or 5xx count as misses
+      if (response.status !== 206 && response.status !== 200) {
+        recordNetworkFailure(false);
+        throw new Error(`Download failed (${response.status})`);
+      }
+      recordNetworkSuccess(Date.now() - started);
+      
+      let buffer = await response.arrayBuffer();
+      if (response.status !== 206) {
+        // Server sent the whole file - keep only this chunk
+        buffer = buffer.slice(start, end + 1);
+      }
+      
+      if (await sha256Hex(buffer) !== pack.chunks[index]) {
+        throw new Error(`Chunk ${index + 1} of ${pack.chunks.length} is corrupted`);
+      }
+      
+      return buffer;
+      
+    } catch (error) {
+      if (error.name === 'TypeError') recordNetworkFailure(false);
+      if (error.name === 'AbortError' || attempt >= CHUNK_RETRIES) throw error;
+      
+      log(`Retrying chunk ${index + 1} of ${pack.id} (${error.message})`);
+      await new Promise(resolve => setTimeout(resolve, 1000 * 2 ** attempt));
+    }
+  }
+}
+
+// Downloads the missing chunks, then assembles and verifies the whole file.
+// Resolves true once the pack is installed.
+async function downloadPack(pack) {
+  const existing = packDownloads.get(pack.id);
+  if (existing && existing.state === 'downloading') return false;
+  
+  const download = { state: 'downloading', received: 0, error: null, controller: new AbortController() };
+  packDownloads.set(pack.id, download);
+  
+  try {
+    const partial = await caches.open(getPartialCacheName(pack));
+    const storedChunks = await getStoredChunks(pack);
+    download.received = getReceivedBytes(pack, storedChunks);
+    notifyPackProgress(pack, 'downloading');
+    
+    for (let index = 0; index < pack.chunks.length; index++) {
+      if (storedChunks.has(index)) continue;
+      
+      const chunk = await fetchChunk(pack, index, download.controller.signal);
+      await partial.put(getChunkKey(pack, index), new Response(chunk));
+      download.received += chunk.byteLength;
+      notifyPackProgress(pack, 'downloading');
+    }
+    
+    const parts = [];
+    for (let index = 0; index < pack.chunks.length; index++) {
+      const stored = await partial.match(getChunkKey(pack, index));
+      parts.push(await stored.arrayBuffer());
+    }
+    
+    const buffer = await new Blob(parts).arrayBuffer();
+    if (await sha256Hex(buffer) !== pack.hash) {
+      await caches.delete(getPartialCacheName(pack));
+      throw new Error('Downloaded file is corrupted, please try again');
+    }
+    
+    const cache = await caches.open(getPackCacheName(pack));
+    await cache.put(pack.url, new Response(buffer, {
+      headers: { 'Content-Type': 'application/json', 'Content-Length': String(buffer.byteLength) }
+    }));
+    await caches.delete(getPartialCacheName(pack));
+    packDownloads.delete(pack.id);
+    await prunePacks();
+    
+    log(`Downloaded pack ${pack.id} ${pack.version}`);
+    notifyPackProgress(pack, 'installed');
+    return true;
+    
+  } catch (error) {
+    if (packDownloads.get(pack.id) !== download) return false; // removed meanwhile
+    
+    if (error.name === 'AbortError') {
+      download.state = 'paused';
+      notifyPackProgress(pack, 'paused');
+      return false;
+    }
+    
+    console.error(`Service Worker: Download of ${pack.id} failed:`, error);
+    download.state = 'error';
+    download.error = error.message;
+    notifyPackProgress(pack, 'error', { error: error.message });
+    return false;
+  }
+}
+
+function pausePack(pack) {
+  const download = packDownloads.get(pack.id);
+  if (download && download.state === 'downloading') {
+    download.controller.abort();
+  }
+}
+
+async function removePack(pack) {
+  pausePack(pack);
+  packDownloads.delete(pack.id);
+  
+  const cacheNames = await caches.keys();
+  await Promise.all(cacheNames
+    .filter(name => name.startsWith(`${PACK_CACHE_PREFIX}${pack.id}-`) || name.startsWith(`${PARTIAL_CACHE_PREFIX}${pack.id}-`))
+    .map(name => caches.delete(name)));
+  
+  log(`Removed pack ${pack.id}`);
+  notifyPackProgress(pack, 'removed');
+}
+
 async function getCacheInfo() {
   const cache = await caches.open(LIVE_CACHE);
   const keys = await cache.keys();
+  
+  const packUrls = [];
+  const cacheNames = await caches.keys();
+  for (const name of cacheNames.filter(name => name.startsWith(PACK_CACHE_PREFIX))) {
+    const packKeys = await (await caches.open(name)).keys();
+    packUrls.push(...packKeys.map(req => req.url));
+  }
+  
   return {
     cacheSize: keys.length,
-    cachedUrls: keys.map(req => req.url)
+    cachedUrls: [...keys.map(req => req.url), ...packUrls]
   };
 }
+
+// DIAGNOSTICS - What a user in the field can show us when the app misbehaves.
+// Install/activate outcomes live in a cache of their own so they survive restarts,
+// and so a failed install can still tell the active worker why it failed.
+const META_CACHE = `${getAppPrefix(LIVE_CACHE)}-meta`;
+const LIFECYCLE_KEY = '/__sw/lifecycle';
+
+async function getLifecycle() {
+  try {
+    const response = await (await caches.open(META_CACHE)).match(LIFECYCLE_KEY);
+    return response ? await response.json() : {};
+  } catch (error) {
+    return {};
+  }
+}
+
+async function recordLifecycle(phase, error = null) {
+  try {
+    const lifecycle = await getLifecycle();
+    lifecycle[phase] = {
+      version: CONFIG.APP_VERSION,
+      cacheName: LIVE_CACHE,
+      ok: !error,
+      error: error ? error.message : null,
+      at: Date.now()
+    };
+    
+    const cache = await caches.open(META_CACHE);
+    await cache.put(LIFECYCLE_KEY, new Response(JSON.stringify(lifecycle), {
+      headers: { 'Content-Type': 'application/json' }
+    }));
+  } catch (recordError) {
+    console.warn(`Service Worker: Could not record ${phase} outcome:`, recordError);
+  }
+}
+
+// Looking must not create: caches.open() would add an empty cache
+async function openExistingCache(name) {
+  return (await caches.has(name)) ? caches.open(name) : null;
+}
+
+async function getDiagnostics() {
+  const cacheNames = await caches.keys();
+  const liveCache = await openExistingCache(LIVE_CACHE);
+  
+  const assets = await Promise.all(ASSETS.map(async asset => {
+    const response = liveCache ? await liveCache.match(asset.url) : null;
+    return {
+      url: asset.url,
+      critical: asset.critical,
+      expectedSize: asset.size,
+      present: Boolean(response),
+      size: response ? (await response.blob()).size : 0
+    };
+  }));
+  
+  // Staged updates, this version's or a waiting worker's
+  const tempPrefix = `${getAppPrefix(LIVE_CACHE)}-temp-`;
+  const staged = await Promise.all(cacheNames
+    .filter(name => name.startsWith(tempPrefix))
+    .map(async name => ({ name, entries: (await (await caches.open(name)).keys()).length })));
+  
+  return {
+    version: CONFIG.APP_VERSION,
+    liveCache: { name: LIVE_CACHE, exists: Boolean(liveCache), entries: liveCache ? (await liveCache.keys()).length : 0 },
+    staged,
+    caches: cacheNames,
+    assets,
+    packs: await getPackStatus(),
+    lifecycle: await getLifecycle(),
+    connectivity: { state: connectivity.state, latency: getMedianLatency() }
+  };
+}
+
+// Hash every cached core file and downloaded translation against the manifest
+async function verifyIntegrity() {
+  const problems = [];
+  const liveCache = await openExistingCache(LIVE_CACHE);
+  
+  for (const asset of ASSETS) {
+    const response = liveCache ? await liveCache.match(asset.url) : null;
+    if (!response) {
+      problems.push({ url: asset.url, critical: asset.critical, problem: 'missing' });
+    } else if (asset.hash && await sha256Hex(await response.arrayBuffer()) !== asset.hash) {
+      problems.push({ url: asset.url, critical: asset.critical, problem: 'corrupted' });
+    }
+  }
+  
+  const installed = [];
+  for (const pack of PACKS) {
+    const packCache = await openExistingCache(getPackCacheName(pack));
+    if (!packCache) continue;
+    installed.push(pack.id);
+    
+    const response = await packCache.match(pack.url);
+    if (!response) {
+      problems.push({ url: pack.url, pack: pack.id, problem: 'missing' });
+    } else if (await sha256Hex(await response.arrayBuffer()) !== pack.hash) {
+      problems.push({ url: pack.url, pack: pack.id, problem: 'corrupted' });
+    }
+  }
+  
+  return { checked: ASSETS.length + installed.length, problems };
+}
+
+// Re-fetch whatever verification flags. Every file is checked against this
+// version's manifest, so a repaired cache is still one consistent version.
+async function repairCaches() {
+  const { problems } = await verifyIntegrity();
+  const repaired = [];
+  const failed = [];
+  const downloading = [];
+  const liveCache = await caches.open(LIVE_CACHE);
+  
+  for (const problem of problems) {
+    try {
+      if (problem.pack) {
+        const pack = PACKS.find(candidate => candidate.id === problem.pack);
+        
+        // A download already under way replaces the pack when it completes
+        if (packDownloads.get(pack.id)?.state === 'downloading') {
+          downloading.push(problem.url);
+          continue;
+        }
+        
+        await caches.delete(getPackCacheName(pack));
+        if (!(await downloadPack(pack))) {
+          throw new Error(packDownloads.get(pack.id)?.error || 'Download failed');
+        }
+      } else {
+        const asset = findAsset(problem.url);
+        await liveCache.put(asset.url, await fetchVerified(asset));
+      }
+      repaired.push(problem.url);
+    } catch (error) {
+      failed.push({ url: problem.url, error: error.message });
+    }
+  }
+  
+  log(`Repair: ${repaired.length} fixed, ${failed.length} failed, ${downloading.length} still downloading`);
+  return { repaired, failed, downloading };
+}
+
+// Drop every cache of this app and unregister; the next load installs from scratch
+async function resetEverything() {
+  PACKS.forEach(pack => pausePack(pack));
+  
+  const appPrefix = `${getAppPrefix(LIVE_CACHE)}-`;
+  const deleted = (await caches.keys()).filter(name => name.startsWith(appPrefix));
+  await Promise.all(deleted.map(name => caches.delete(name)));
+  
+  const unregistered = await self.registration.unregister();
+  console.log(`Service Worker: Reset - deleted ${deleted.length} caches`);
+  return { deleted, unregistered };
+}
@@ -36,7 +36,12 @@ header h1 {
     font-weight: 600;
 }
 
-#fontBtn {
+#headerActions {
+    display: flex;
+    gap: 0.5rem;
+}
+
+.header-btn {
     background: rgba(255,255,255,0.2);
     border: 1px solid rgba(255,255,255,0.3);
     color: white;
@@ -47,10 +52,35 @@ header h1 {
     transition: background-color 0.2s;
 }
 
-#fontBtn:hover {
+.header-btn:hover {
     background: rgba(255,255,255,0.3);
 }
 
+/* Connectivity indicator - colored dot plus a short label */
+.connectivity-status {
+    display: flex;
+    align-items: center;
+    gap: 0.375rem;
+    font-size: 0.75rem;
+    white-space: nowrap;
+}
+
+.connectivity-status::before {
+    content: '';
+    width: 0.5rem;
+    height: 0.5rem;
+    border-radius: 50%;
+    background: #4ade80;
+}
+
+.connectivity-status.slow::before {
+    background: #facc15;
+}
+
+.connectivity-status.offline::before {
+    background: #f87171;
+}
+
 main {
     flex: 1;
     padding: 1rem;
@@ -132,6 +162,29 @@ main {
     background: #1d4ed8;
 }
 
+#referenceBar,
+#parallelControls,
+#searchBar {
+    margin-bottom: 1rem;
+}
+
+#referenceError {
+    margin-top: 0.5rem;
+    color: #dc2626;
+    font-size: 0.875rem;
+}
+
+#referenceInput,
+#parallelSelect,
+#searchInput {
+    width: 100%;
+    padding: 0.75rem;
+    border: 1px solid #d1d5db;
+    border-radius: 0.375rem;
+    font-size: 1rem;
+    background: white;
+}
+
 #content {
     background: white;
     border-radius: 0.5rem;
@@ -145,6 +198,62 @@ main {
     color: #6b7280;
 }
 
+#continueReading {
+    max-width: 24rem;
+    margin: 0 auto;
+    padding: 1.5rem;
+    border: 1px solid #e5e7eb;
+    border-radius: 0.5rem;
+    background: #f9fafb;
+}
+
+.continue-label {
+    font-size: 0.875rem;
+    text-transform: uppercase;
+    letter-spacing: 0.05em;
+}
+
+#continueReadingRef {
+    margin: 0.5rem 0 0.25rem;
+    color: #1f2937;
+    font-size: 1.25rem;
+    font-weight: 600;
+}
+
+#continueReadingBible {
+    margin-bottom: 1rem;
+    font-size: 0.875rem;
+}
+
+#continueReadingBtn {
+    background: #2563eb;
+    color: white;
+    border: none;
+    padding: 0.75rem 1.5rem;
+    border-radius: 0.375rem;
+    font-size: 1rem;
+    cursor: pointer;
+    transition: background-color 0.2s;
+}
+
+#continueReadingBtn:hover {
+    background: #1d4ed8;
+}
+
+#todayReading {
+    max-width: 24rem;
+    margin: 1.5rem auto 0;
+    padding: 1.5rem;
+    border: 1px solid #e5e7eb;
+    border-radius: 0.5rem;
+    background: #f9fafb;
+    text-align: left;
+}
+
+#todayReading .continue-label {
+    text-align: center;
+}
+
 #reading {
     padding: 1.5rem;
 }
@@ -157,6 +266,32 @@ main {
     text-align: center;
 }
 
+#dataAge {
+    margin: -1rem 0 1.5rem;
+    color: #6b7280;
+    font-size: 0.75rem;
+    text-align: center;
+}
+
+#switchNotice {
+    display: flex;
+    flex-wrap: wrap;
+    gap: 0.75rem;
+    align-items: center;
+    margin-bottom: 1.5rem;
+    padding: 0.75rem 1rem;
+    border: 1px solid #fde68a;
+    border-radius: 0.375rem;
+    background: #fffbeb;
+    color: #92400e;
+    font-size: 0.875rem;
+}
+
+#switchNotice p {
+    flex: 1;
+    min-width: 12rem;
+}
+
 #verses {
     font-size: var(--font-size, 1rem);
     line-height: 1.8;
@@ -164,7 +299,9 @@ main {
 }
 
 .verse {
+    position: relative;
     margin-bottom: 0.75rem;
+    padding-right: 2rem;
     text-align: justify;
 }
 
@@ -187,6 +324,565 @@ main {
     display: inline;
 }
 
+#searchResults {
+    padding: 1.5rem;
+}
+
+#searchSummary {
+    margin-bottom: 1rem;
+    color: #6b7280;
+    font-size: 0.875rem;
+}
+
+#searchResultList {
+    list-style: none;
+}
+
+.search-result {
+    padding: 0.75rem;
+    border-bottom: 1px solid #f3f4f6;
+    cursor: pointer;
+}
+
+.search-result:hover,
+.search-result:focus {
+    background: #f9fafb;
+    outline: none;
+}
+
+.search-result-ref {
+    display: block;
+    font-weight: 600;
+    color: #2563eb;
+    font-size: 0.875rem;
+    margin-bottom: 0.25rem;
+}
+
+.search-result mark {
+    background: #fef08a;
+    color: inherit;
+    padding: 0 0.125rem;
+    border-radius: 0.125rem;
+}
+
+.verse.verse-focus {
+    background: #fef9c3;
+    border-radius: 0.25rem;
+    transition: background-color 1s;
+}
+
+#parallelChips {
+    display: flex;
+    flex-wrap: wrap;
+    gap: 0.5rem;
+    margin-top: 0.5rem;
+}
+
+.parallel-chip {
+    background: #eff6ff;
+    color: #1d4ed8;
+    border: 1px solid #bfdbfe;
+    border-radius: 999px;
+    padding: 0.25rem 0.75rem;
+    font-size: 0.875rem;
+    cursor: pointer;
+}
+
+.parallel-header,
+.parallel-row {
+    display: grid;
+    grid-template-columns: repeat(var(--parallel-columns, 2), minmax(0, 1fr));
+    gap: 1rem;
+}
+
+.parallel-header {
+    margin-bottom: 1rem;
+    padding-bottom: 0.5rem;
+    border-bottom: 1px solid #e5e7eb;
+}
+
+.parallel-heading {
+    font-size: 0.875rem;
+    font-weight: 600;
+    color: #374151;
+}
+
+.parallel-label {
+    display: none;
+}
+
+.parallel-missing {
+    color: #9ca3af;
+    font-style: italic;
+}
+
+/* Narrow screens: interleave translations verse by verse */
+@media (max-width: 639px) {
+    .parallel-header {
+        display: none;
+    }
+
+    .parallel-row {
+        grid-template-columns: 1fr;
+        gap: 0.25rem;
+        padding-bottom: 0.75rem;
+        border-bottom: 1px solid #f3f4f6;
+    }
+
+    .parallel-label {
+        display: block;
+        font-size: 0.75em;
+        font-weight: 600;
+        color: #6b7280;
+    }
+}
+
+.verse-bookmark {
+    position: absolute;
+    top: 0;
+    right: 0;
+    background: none;
+    border: none;
+    color: #d1d5db;
+    font-size: 1.125rem;
+    line-height: 1;
+    padding: 0.25rem;
+    cursor: pointer;
+}
+
+.verse-bookmark:hover,
+.verse.bookmarked .verse-bookmark {
+    color: #f59e0b;
+}
+
+/* Highlight colors - verse backgrounds, toolbar swatches and list headings */
+.highlight-yellow { background: #fef08a; }
+.highlight-green { background: #bbf7d0; }
+.highlight-blue { background: #bfdbfe; }
+.highlight-pink { background: #fbcfe8; }
+.highlight-orange { background: #fed7aa; }
+
+.verse[class*="highlight-"] {
+    border-radius: 0.25rem;
+    padding-left: 0.25rem;
+}
+
+#highlightToolbar {
+    position: fixed;
+    bottom: 1rem;
+    left: 50%;
+    transform: translateX(-50%);
+    display: flex;
+    gap: 0.5rem;
+    padding: 0.5rem;
+    background: white;
+    border-radius: 999px;
+    box-shadow: 0 4px 12px rgba(0,0,0,0.15);
+    z-index: 10;
+}
+
+#highlightToolbar button {
+    width: 2rem;
+    height: 2rem;
+    border: 1px solid #e5e7eb;
+    border-radius: 50%;
+    cursor: pointer;
+}
+
+#highlightToolbar .highlight-clear {
+    background: white;
+    color: #6b7280;
+}
+
+/* Update banner - sits above the highlight toolbar and never blocks reading */
+#updateBanner {
+    position: fixed;
+    bottom: 4rem;
+    left: 50%;
+    transform: translateX(-50%);
+    display: flex;
+    align-items: center;
+    gap: 0.75rem;
+    width: calc(100% - 2rem);
+    max-width: 480px;
+    padding: 0.75rem 1rem;
+    background: white;
+    border-radius: 0.5rem;
+    box-shadow: 0 4px 12px rgba(0,0,0,0.15);
+    z-index: 20;
+}
+
+.update-text {
+    flex: 1;
+    font-size: 0.875rem;
+}
+
+#updateVersion {
+    color: #6b7280;
+    margin-left: 0.25rem;
+}
+
+#updateChangelog {
+    color: #374151;
+    margin-top: 0.25rem;
+    white-space: pre-line;
+}
+
+.update-dismiss {
+    background: none;
+    border: none;
+    color: #6b7280;
+    cursor: pointer;
+    font-size: 1rem;
+}
+
+.highlight-group {
+    margin-bottom: 1.5rem;
+}
+
+.highlight-swatch {
+    display: inline-block;
+    padding: 0.25rem 0.75rem;
+    border-radius: 0.375rem;
+    font-size: 1rem;
+    font-weight: 600;
+    margin-bottom: 0.5rem;
+}
+
+.highlight-group h4 {
+    margin: 0.75rem 0 0.25rem;
+    color: #374151;
+    font-size: 0.875rem;
+}
+
+.highlight-list {
+    list-style: none;
+}
+
+/* Panels (bookmarks, highlights, personal data) */
+#bookmarks,
+#highlights,
+#readingPlans,
+#personalData,
+#downloads,
+#diagnostics {
+    padding: 1.5rem;
+}
+
+.panel-note {
+    color: #6b7280;
+    font-size: 0.875rem;
+    margin-bottom: 1rem;
+}
+
+#downloadList {
+    list-style: none;
+}
+
+.download-item {
+    display: grid;
+    grid-template-columns: 1fr auto;
+    gap: 0.25rem 1rem;
+    align-items: center;
+    padding: 0.75rem 0;
+    border-bottom: 1px solid #e5e7eb;
+}
+
+.download-name {
+    font-weight: 600;
+}
+
+.download-size,
+.download-status {
+    color: #6b7280;
+    font-size: 0.875rem;
+}
+
+.download-item progress {
+    grid-column: 1 / -1;
+    width: 100%;
+    height: 0.5rem;
+}
+
+.download-actions {
+    display: flex;
+    gap: 0.5rem;
+    justify-content: flex-end;
+}
+
+.download-actions button,
+.plan-actions button:not(.panel-action) {
+    background: white;
+    border: 1px solid #d1d5db;
+    border-radius: 0.375rem;
+    padding: 0.25rem 0.75rem;
+    font-size: 0.875rem;
+    cursor: pointer;
+}
+
+.download-actions button:hover,
+.plan-actions button:not(.panel-action):hover {
+    background: #f3f4f6;
+}
+
+.panel-section {
+    margin-bottom: 1.5rem;
+}
+
+.panel-section h3 {
+    font-size: 1rem;
+    font-weight: 600;
+    margin-bottom: 0.5rem;
+}
+
+.panel-section p {
+    color: #6b7280;
+    font-size: 0.875rem;
+    margin-bottom: 0.75rem;
+}
+
+.import-modes {
+    display: flex;
+    flex-direction: column;
+    gap: 0.25rem;
+    margin: 0.75rem 0;
+    font-size: 0.875rem;
+}
+
+.panel-action {
+    background: #2563eb;
+    color: white;
+    border: none;
+    padding: 0.5rem 1rem;
+    border-radius: 0.375rem;
+    font-size: 0.875rem;
+    cursor: pointer;
+}
+
+.panel-action:hover {
+    background: #1d4ed8;
+}
+
+.plan-list {
+    list-style: none;
+}
+
+.plan-item {
+    display: flex;
+    flex-direction: column;
+    gap: 0.375rem;
+    padding: 0.75rem 0;
+    border-bottom: 1px solid #e5e7eb;
+}
+
+.plan-item:last-child {
+    border-bottom: none;
+}
+
+.plan-name {
+    color: #1f2937;
+    font-weight: 600;
+}
+
+.plan-status,
+.plan-note {
+    color: #6b7280;
+    font-size: 0.875rem;
+}
+
+.plan-passages {
+    display: flex;
+    flex-wrap: wrap;
+    gap: 0.5rem;
+    color: #6b7280;
+    font-size: 0.875rem;
+}
+
+.plan-passage {
+    background: white;
+    color: #2563eb;
+    border: 1px solid #bfdbfe;
+    border-radius: 999px;
+    padding: 0.25rem 0.75rem;
+    font-size: 0.875rem;
+    cursor: pointer;
+}
+
+.plan-passage:hover {
+    background: #eff6ff;
+}
+
+.plan-actions {
+    display: flex;
+    flex-wrap: wrap;
+    gap: 0.5rem;
+}
+
+.plan-actions:empty {
+    display: none;
+}
+
+#planStatus,
+#dataStatus {
+    color: #047857;
+    font-size: 0.875rem;
+}
+
+#planStatus.error {
+    color: #dc2626;
+}
+
+#diagnosticsSummary {
+    display: grid;
+    grid-template-columns: auto 1fr;
+    gap: 0.25rem 1rem;
+    margin-bottom: 1.5rem;
+    font-size: 0.875rem;
+}
+
+#diagnosticsSummary dt {
+    color: #6b7280;
+}
+
+.diagnostics-list {
+    list-style: none;
+    font-size: 0.875rem;
+}
+
+.diagnostics-list li {
+    display: flex;
+    justify-content: space-between;
+    gap: 1rem;
+    padding: 0.25rem 0;
+    border-bottom: 1px solid #e5e7eb;
+}
+
+.diagnostics-list .missing {
+    color: #dc2626;
+}
+
+.diagnostics-actions {
+    display: flex;
+    flex-wrap: wrap;
+    gap: 0.5rem;
+}
+
+.panel-action.danger {
+    background: #dc2626;
+}
+
+.panel-action.danger:hover {
+    background: #b91c1c;
+}
+
+#diagnosticsStatus {
+    color: #047857;
+    font-size: 0.875rem;
+    white-space: pre-line;
+}
+
+#diagnosticsStatus.error {
+    color: #dc2626;
+}
+
+.panel-header {
+    display: flex;
+    justify-content: space-between;
+    align-items: center;
+    margin-bottom: 1rem;
+}
+
+.panel-header h2 {
+    font-size: 1.25rem;
+    font-weight: 600;
+}
+
+.panel-close {
+    background: #f3f4f6;
+    border: 1px solid #e5e7eb;
+    border-radius: 0.375rem;
+    padding: 0.5rem 0.75rem;
+    font-size: 0.875rem;
+    cursor: pointer;
+}
+
+.panel-filters {
+    display: flex;
+    gap: 0.5rem;
+    flex-wrap: wrap;
+    margin-bottom: 1rem;
+}
+
+.panel-filters input,
+.panel-filters select {
+    flex: 1;
+    min-width: 10rem;
+    padding: 0.5rem;
+    border: 1px solid #d1d5db;
+    border-radius: 0.375rem;
+    font-size: 0.875rem;
+    background: white;
+}
+
+.panel-empty {
+    color: #6b7280;
+    text-align: center;
+    padding: 1.5rem 0;
+}
+
+#bookmarkList {
+    list-style: none;
+}
+
+.bookmark-item {
+    padding: 0.75rem 0;
+    border-bottom: 1px solid #f3f4f6;
+}
+
+.bookmark-ref {
+    background: none;
+    border: none;
+    padding: 0;
+    color: #2563eb;
+    font-weight: 600;
+    font-size: 1rem;
+    cursor: pointer;
+}
+
+.bookmark-text {
+    margin: 0.25rem 0 0.5rem;
+    color: #374151;
+    font-size: 0.875rem;
+}
+
+.bookmark-folder,
+.bookmark-note {
+    display: block;
+    width: 100%;
+    margin-bottom: 0.5rem;
+    padding: 0.5rem;
+    border: 1px solid #e5e7eb;
+    border-radius: 0.375rem;
+    font-size: 0.875rem;
+    font-family: inherit;
+}
+
+.bookmark-actions {
+    display: flex;
+    justify-content: space-between;
+    align-items: center;
+    font-size: 0.75rem;
+    color: #9ca3af;
+}
+
+.bookmark-delete {
+    background: none;
+    border: none;
+    color: #dc2626;
+    font-size: 0.875rem;
+    cursor: pointer;
+}
+
 #loading {
     padding: 3rem 1.5rem;
     text-align: center;
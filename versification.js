@@ -0,0 +1,333 @@
+// Versification - Maps verse numbers between the numbering schemes translations follow
+//
+// KJV numbering is the standard: personal data is keyed by it and every other scheme
+// is a list of rules saying where a run of KJV verses lands in that scheme. Verses no
+// rule mentions keep their number. The rules cover the well-known differences (Psalm
+// titles counted as verses, the Greek Psalm numbering, Malachi 3/4, Joel 2/3, Daniel's
+// Greek additions...), not every edition's quirks.
+
+const VERSIFICATIONS = {
+    // King James / English numbering, followed by most Protestant translations (es_rvr.json included)
+    kjv: {
+        // Old Testament
+        gn: [31, 25, 24, 26, 32, 22, 24, 22, 29, 32, 32, 20, 18, 24, 21, 16, 27, 33, 38, 18, 34, 24, 20, 67, 34, 35, 46, 22, 35, 43, 55, 32, 20, 31, 29, 43, 36, 30, 23, 23, 57, 38, 34, 34, 28, 34, 31, 22, 33, 26],
+        ex: [22, 25, 22, 31, 23, 30, 25, 32, 35, 29, 10, 51, 22, 31, 27, 36, 16, 27, 25, 26, 36, 31, 33, 18, 40, 37, 21, 43, 46, 38, 18, 35, 23, 35, 35, 38, 29, 31, 43, 38],
+        lv: [17, 16, 17, 35, 19, 30, 38, 36, 24, 20, 47, 8, 59, 57, 33, 34, 16, 30, 37, 27, 24, 33, 44, 23, 55, 46, 34],
+        nm: [54, 34, 51, 49, 31, 27, 89, 26, 23, 36, 35, 16, 33, 45, 41, 50, 13, 32, 22, 29, 35, 41, 30, 25, 18, 65, 23, 31, 40, 16, 54, 42, 56, 29, 34, 13],
+        dt: [46, 37, 29, 49, 33, 25, 26, 20, 29, 22, 32, 32, 18, 29, 23, 22, 20, 22, 21, 20, 23, 30, 25, 22, 19, 19, 26, 68, 29, 20, 30, 52, 29, 12],
+        js: [18, 24, 17, 24, 15, 27, 26, 35, 27, 43, 23, 24, 33, 15, 63, 10, 18, 28, 51, 9, 45, 34, 16, 33],
+        jud: [36, 23, 31, 24, 31, 40, 25, 35, 57, 18, 40, 15, 25, 20, 20, 31, 13, 31, 30, 48, 25],
+        rt: [22, 23, 18, 22],
+        '1sm': [28, 36, 21, 22, 12, 21, 17, 22, 27, 27, 15, 25, 23, 52, 35, 23, 58, 30, 24, 42, 15, 23, 29, 22, 44, 25, 12, 25, 11, 31, 13],
+        '2sm': [27, 32, 39, 12, 25, 23, 29, 18, 13, 19, 27, 31, 39, 33, 37, 23, 29, 33, 43, 26, 22, 51, 39, 25],
+        '1kgs': [53, 46, 28, 34, 18, 38, 51, 66, 28, 29, 43, 33, 34, 31, 34, 34, 24, 46, 21, 43, 29, 53],
+        '2kgs': [18, 25, 27, 44, 27, 33, 20, 29, 37, 36, 21, 21, 25, 29, 38, 20, 41, 37, 37, 21, 26, 20, 37, 20, 30],
+        '1ch': [54, 55, 24, 43, 26, 81, 40, 40, 44, 14, 47, 40, 14, 17, 29, 43, 27, 17, 19, 8, 30, 19, 32, 31, 31, 32, 34, 21, 30],
+        '2ch': [17, 18, 17, 22, 14, 42, 22, 18, 31, 19, 23, 16, 22, 15, 19, 14, 19, 34, 11, 37, 20, 12, 21, 27, 28, 23, 9, 27, 36, 27, 21, 33, 25, 33, 27, 23],
+        ezr: [11, 70, 13, 24, 17, 22, 28, 36, 15, 44],
+        ne: [11, 20, 32, 23, 19, 19, 73, 18, 38, 39, 36, 47, 31],
+        et: [22, 23, 15, 17, 14, 14, 10, 17, 32, 3],
+        job: [22, 13, 26, 21, 27, 30, 21, 22, 35, 22, 20, 25, 28, 22, 35, 22, 16, 21, 29, 29, 34, 30, 17, 25, 6, 14, 23, 28, 25, 31, 40, 22, 33, 37, 16, 33, 24, 41, 30, 24, 34, 17],
+        ps: [6, 12, 8, 8, 12, 10, 17, 9, 20, 18, 7, 8, 6, 7, 5, 11, 15, 50, 14, 9, 13, 31, 6, 10, 22, 12, 14, 9, 11, 12, 24, 11, 22, 22, 28, 12, 40, 22, 13, 17, 13, 11, 5, 26, 17, 11, 9, 14, 20, 23, 19, 9, 6, 7, 23, 13, 11, 11, 17, 12, 8, 12, 11, 10, 13, 20, 7, 35, 36, 5, 24, 20, 28, 23, 10, 12, 20, 72, 13, 19, 16, 8, 18, 12, 13, 17, 7, 18, 52, 17, 16, 15, 5, 23, 11, 13, 12, 9, 9, 5, 8, 28, 22, 35, 45, 48, 43, 13, 31, 7, 10, 10, 9, 8, 18, 19, 2, 29, 176, 7, 8, 9, 4, 8, 5, 6, 5, 6, 8, 8, 3, 18, 3, 3, 21, 26, 9, 8, 24, 13, 10, 7, 12, 15, 21, 10, 20, 14, 9, 6],
+        prv: [33, 22, 35, 27, 23, 35, 27, 36, 18, 32, 31, 28, 25, 35, 33, 33, 28, 24, 29, 30, 31, 29, 35, 34, 28, 28, 27, 28, 27, 33, 31],
+        ec: [18, 26, 22, 16, 20, 12, 29, 17, 18, 20, 10, 14],
+        so: [17, 17, 11, 16, 16, 13, 13, 14],
+        is: [31, 22, 26, 6, 30, 13, 25, 22, 21, 34, 16, 6, 22, 32, 9, 14, 14, 7, 25, 6, 17, 25, 18, 23, 12, 21, 13, 29, 24, 33, 9, 20, 24, 17, 10, 22, 38, 22, 8, 31, 29, 25, 28, 28, 25, 13, 15, 22, 26, 11, 23, 15, 12, 17, 13, 12, 21, 14, 21, 22, 11, 12, 19, 12, 25, 24],
+        jr: [19, 37, 25, 31, 31, 30, 34, 22, 26, 25, 23, 17, 27, 22, 21, 21, 27, 23, 15, 18, 14, 30, 40, 10, 38, 24, 22, 17, 32, 24, 40, 44, 26, 22, 19, 32, 21, 28, 18, 16, 18, 22, 13, 30, 5, 28, 7, 47, 39, 46, 64, 34],
+        lm: [22, 22, 66, 22, 22],
+        ez: [28, 10, 27, 17, 17, 14, 27, 18, 11, 22, 25, 28, 23, 23, 8, 63, 24, 32, 14, 49, 32, 31, 49, 27, 17, 21, 36, 26, 21, 26, 18, 32, 33, 31, 15, 38, 28, 23, 29, 49, 26, 20, 27, 31, 25, 24, 23, 35],
+        dn: [21, 49, 30, 37, 31, 28, 28, 27, 27, 21, 45, 13],
+        ho: [11, 23, 5, 19, 15, 11, 16, 14, 17, 15, 12, 14, 16, 9],
+        jl: [20, 32, 21],
+        am: [15, 16, 15, 13, 27, 14, 17, 14, 15],
+        ob: [21],
+        jn: [17, 10, 10, 11],
+        mi: [16, 13, 12, 13, 15, 16, 20],
+        na: [15, 13, 19],
+        hk: [17, 20, 19],
+        zp: [18, 15, 20],
+        hg: [15, 23],
+        zc: [21, 13, 10, 14, 11, 15, 14, 23, 17, 12, 17, 14, 9, 21],
+        ml: [14, 17, 18, 6],
+
+        // New Testament
+        mt: [25, 23, 17, 25, 48, 34, 29, 34, 38, 42, 30, 50, 58, 36, 39, 28, 27, 35, 30, 34, 46, 46, 39, 51, 46, 75, 66, 20],
+        mk: [45, 28, 35, 41, 43, 56, 37, 38, 50, 52, 33, 44, 37, 72, 47, 20],
+        lk: [80, 52, 38, 44, 39, 49, 50, 56, 62, 42, 54, 59, 35, 35, 32, 31, 37, 43, 48, 47, 38, 71, 56, 53],
+        jo: [51, 25, 36, 54, 47, 71, 53, 59, 41, 42, 57, 50, 38, 31, 27, 33, 26, 40, 42, 31, 25],
+        act: [26, 47, 26, 37, 42, 15, 60, 40, 43, 48, 30, 25, 52, 28, 41, 40, 34, 28, 41, 38, 40, 30, 35, 27, 27, 32, 44, 31],
+        rm: [32, 29, 31, 25, 21, 23, 25, 39, 33, 21, 36, 21, 14, 23, 33, 27],
+        '1co': [31, 16, 23, 21, 13, 20, 40, 13, 27, 33, 34, 31, 13, 40, 58, 24],
+        '2co': [24, 17, 18, 18, 21, 18, 16, 24, 15, 18, 33, 21, 14],
+        gl: [24, 21, 29, 31, 26, 18],
+        eph: [23, 22, 21, 32, 33, 24],
+        ph: [30, 30, 21, 23],
+        cl: [29, 23, 25, 18],
+        '1ts': [10, 20, 13, 18, 28],
+        '2ts': [12, 17, 18],
+        '1tm': [20, 15, 16, 16, 25, 21],
+        '2tm': [18, 26, 17, 22],
+        tt: [16, 15, 15],
+        phm: [25],
+        hb: [14, 18, 19, 16, 14, 20, 28, 13, 28, 39, 40, 29, 25],
+        jm: [27, 26, 18, 17, 20],
+        '1pe': [25, 25, 22, 19, 14],
+        '2pe': [21, 22, 18],
+        '1jo': [10, 29, 24, 21, 21],
+        '2jo': [13],
+        '3jo': [14],
+        jd: [25],
+        re: [20, 29, 22, 11, 14, 17, 17, 13, 21, 11, 19, 17, 18, 20, 8, 21, 18, 24, 21, 15, 27, 21]
+    }
+};
+
+// Psalms whose title is verse 1 (or 1-2) in the Hebrew text, and by how much that shifts the
+// KJV verses. Keyed by KJV/Hebrew psalm number.
+const PSALM_TITLE_OFFSETS = {
+    3: 1, 4: 1, 5: 1, 6: 1, 7: 1, 8: 1, 9: 1, 12: 1, 13: 1, 18: 1, 19: 1, 20: 1, 21: 1, 22: 1,
+    30: 1, 31: 1, 34: 1, 36: 1, 38: 1, 39: 1, 40: 1, 41: 1, 42: 1, 44: 1, 45: 1, 46: 1, 47: 1,
+    48: 1, 49: 1, 51: 2, 52: 2, 53: 1, 54: 2, 55: 1, 56: 1, 57: 1, 58: 1, 59: 1, 60: 2, 61: 1,
+    62: 1, 63: 1, 64: 1, 65: 1, 67: 1, 68: 1, 69: 1, 70: 1, 75: 1, 76: 1, 77: 1, 80: 1, 81: 1,
+    83: 1, 84: 1, 85: 1, 88: 1, 89: 1, 92: 1, 102: 1, 108: 1, 140: 1, 142: 1
+};
+
+// Rules are [book, kjvChapter, kjvFirstVerse, kjvLastVerse, chapter, firstVerse]
+function psalmRules(chapterFor) {
+    const rules = [];
+    VERSIFICATIONS.kjv.ps.forEach((count, index) => {
+        const psalm = index + 1;
+        const offset = PSALM_TITLE_OFFSETS[psalm] || 0;
+        const target = chapterFor(psalm);
+        if (Array.isArray(target)) {
+            // Split psalm: [[kjvFirst, kjvLast, chapter, firstVerse], ...]
+            target.forEach(([first, last, chapter, firstVerse]) => rules.push(['ps', psalm, first, last, chapter, firstVerse]));
+        } else if (offset > 0 || target !== psalm) {
+            rules.push(['ps', psalm, 1, count, target, 1 + offset]);
+        }
+    });
+    return rules;
+}
+
+// Greek (LXX) numbering joins Psalms 9-10 and 114-115 and splits 116 and 147
+function greekPsalmChapter(psalm) {
+    if (psalm === 9) return [[1, 20, 9, 2]];
+    if (psalm === 10) return [[1, 18, 9, 22]];
+    if (psalm === 114) return [[1, 8, 113, 1]];
+    if (psalm === 115) return [[1, 18, 113, 9]];
+    if (psalm === 116) return [[1, 9, 114, 1], [10, 19, 115, 1]];
+    if (psalm === 147) return [[1, 11, 146, 1], [12, 20, 147, 1]];
+    if (psalm >= 11 && psalm <= 146) return psalm - 1;
+    return psalm;
+}
+
+// Daniel's Greek additions (the Song of the Three) push the end of chapter 3 and the start of 4
+const GREEK_DANIEL_RULES = [
+    ['dn', 3, 24, 30, 3, 91],
+    ['dn', 4, 1, 3, 3, 98],
+    ['dn', 4, 4, 37, 4, 1]
+];
+
+const JONAH_RULES = [
+    ['jn', 1, 17, 17, 2, 1],
+    ['jn', 2, 1, 10, 2, 2]
+];
+
+const VERSIFICATION_SCHEMES = {
+    kjv: {
+        name: 'KJV',
+        rules: []
+    },
+
+    // Hebrew numbering, followed by many Catholic and modern translations
+    hebrew: {
+        name: 'Hebrew',
+        rules: [
+            ['gn', 31, 55, 55, 32, 1], ['gn', 32, 1, 32, 32, 2],
+            ['ex', 8, 1, 4, 7, 26], ['ex', 8, 5, 32, 8, 1],
+            ['ex', 22, 1, 1, 21, 37], ['ex', 22, 2, 31, 22, 1],
+            ['lv', 6, 1, 7, 5, 20], ['lv', 6, 8, 30, 6, 1],
+            ['nm', 16, 36, 50, 17, 1], ['nm', 17, 1, 13, 17, 16],
+            ['nm', 29, 40, 40, 30, 1], ['nm', 30, 1, 16, 30, 2],
+            ['dt', 12, 32, 32, 13, 1], ['dt', 13, 1, 18, 13, 2],
+            ['dt', 22, 30, 30, 23, 1], ['dt', 23, 1, 25, 23, 2],
+            ['1sm', 21, 1, 15, 21, 2],
+            ['1sm', 23, 29, 29, 24, 1], ['1sm', 24, 1, 22, 24, 2],
+            ['2sm', 18, 33, 33, 19, 1], ['2sm', 19, 1, 43, 19, 2],
+            ['1kgs', 4, 21, 34, 5, 1], ['1kgs', 5, 1, 18, 5, 15],
+            ['2kgs', 11, 21, 21, 12, 1], ['2kgs', 12, 1, 21, 12, 2],
+            ['1ch', 6, 1, 15, 5, 27], ['1ch', 6, 16, 81, 6, 1],
+            ['2ch', 2, 1, 1, 1, 18], ['2ch', 2, 2, 18, 2, 1],
+            ['ne', 4, 1, 6, 3, 33], ['ne', 4, 7, 23, 4, 1],
+            ['ne', 9, 38, 38, 10, 1], ['ne', 10, 1, 39, 10, 2],
+            ['job', 41, 1, 8, 40, 25], ['job', 41, 9, 34, 41, 1],
+            ...psalmRules(psalm => psalm),
+            ['ec', 5, 1, 1, 4, 17], ['ec', 5, 2, 20, 5, 1],
+            ['so', 6, 13, 13, 7, 1], ['so', 7, 1, 13, 7, 2],
+            ['is', 9, 1, 1, 8, 23], ['is', 9, 2, 21, 9, 1],
+            ['is', 64, 1, 1, 63, 19], ['is', 64, 2, 12, 64, 1],
+            ['jr', 9, 1, 1, 8, 23], ['jr', 9, 2, 26, 9, 1],
+            ['ez', 20, 45, 49, 21, 1], ['ez', 21, 1, 32, 21, 6],
+            ['dn', 4, 1, 3, 3, 31], ['dn', 4, 4, 37, 4, 1],
+            ['dn', 5, 31, 31, 6, 1], ['dn', 6, 1, 28, 6, 2],
+            ['ho', 1, 10, 11, 2, 1], ['ho', 2, 1, 23, 2, 3],
+            ['ho', 11, 12, 12, 12, 1], ['ho', 12, 1, 14, 12, 2],
+            ['ho', 13, 16, 16, 14, 1], ['ho', 14, 1, 9, 14, 2],
+            ['jl', 2, 28, 32, 3, 1], ['jl', 3, 1, 21, 4, 1],
+            ...JONAH_RULES,
+            ['mi', 5, 1, 1, 4, 14], ['mi', 5, 2, 15, 5, 1],
+            ['na', 1, 15, 15, 2, 1], ['na', 2, 1, 13, 2, 2],
+            ['zc', 1, 18, 21, 2, 1], ['zc', 2, 1, 13, 2, 5],
+            ['ml', 4, 1, 6, 3, 19]
+        ]
+    },
+
+    // Latin Vulgate and Greek Septuagint numbering
+    vulgate: {
+        name: 'Vulgate/LXX',
+        rules: [
+            ...psalmRules(greekPsalmChapter),
+            ...GREEK_DANIEL_RULES,
+            ...JONAH_RULES
+        ]
+    },
+
+    // Russian Synodal: Greek Psalms plus its own breaks in Numbers, Job, Song and Romans
+    synodal: {
+        name: 'Synodal',
+        rules: [
+            ['nm', 12, 16, 16, 13, 1], ['nm', 13, 1, 33, 13, 2],
+            ['job', 40, 1, 5, 39, 31], ['job', 40, 6, 24, 40, 1],
+            ['job', 41, 1, 8, 40, 20], ['job', 41, 9, 34, 41, 1],
+            ...psalmRules(greekPsalmChapter),
+            ['so', 6, 13, 13, 7, 1], ['so', 7, 1, 13, 7, 2],
+            ...GREEK_DANIEL_RULES,
+            ...JONAH_RULES,
+            ['rm', 16, 25, 27, 14, 24],
+            ['2co', 13, 12, 12, 13, 12], ['2co', 13, 13, 13, 13, 12], ['2co', 13, 14, 14, 13, 13]
+        ]
+    }
+};
+
+class Versification {
+    static schemes() {
+        return Object.keys(VERSIFICATION_SCHEMES);
+    }
+
+    static getName(scheme) {
+        return VERSIFICATION_SCHEMES[scheme] ? VERSIFICATION_SCHEMES[scheme].name : scheme;
+    }
+
+    // Rules indexed both ways by "<book>.<chapter>", built once per scheme
+    static getTables(scheme) {
+        Versification.tables = Versification.tables || new Map();
+        if (Versification.tables.has(scheme)) return Versification.tables.get(scheme);
+
+        const forward = new Map(); // KJV chapter -> rules moving its verses
+        const reverse = new Map(); // scheme chapter -> rules landing in it
+        const add = (map, key, rule) => {
+            if (!map.has(key)) map.set(key, []);
+            map.get(key).push(rule);
+        };
+
+        (VERSIFICATION_SCHEMES[scheme] ? VERSIFICATION_SCHEMES[scheme].rules : []).forEach(rule => {
+            const [book, kjvChapter, first, last, chapter, firstVerse] = rule;
+            add(forward, `${book}.${kjvChapter}`, rule);
+            add(reverse, `${book}.${chapter}`, [book, chapter, firstVerse, firstVerse + last - first, kjvChapter, first]);
+        });
+
+        const tables = { forward, reverse };
+        Versification.tables.set(scheme, tables);
+        return tables;
+    }
+
+    static findRule(rules, verse) {
+        return (rules || []).find(([, , first, last]) => verse >= first && verse <= last) || null;
+    }
+
+    // KJV reference -> the same verse in another scheme
+    static fromStandard({ book, chapter, verse }, scheme) {
+        const rule = Versification.findRule(Versification.getTables(scheme).forward.get(`${book}.${chapter}`), verse);
+        if (!rule) return { book, chapter, verse };
+        return { book, chapter: rule[4], verse: rule[5] + verse - rule[2] };
+    }
+
+    // Scheme reference -> KJV, or null when the verse has no KJV counterpart (a Psalm title, a Greek addition)
+    static toStandard({ book, chapter, verse }, scheme) {
+        const { forward, reverse } = Versification.getTables(scheme);
+
+        const rule = Versification.findRule(reverse.get(`${book}.${chapter}`), verse);
+        if (rule) return { book, chapter: rule[4], verse: rule[5] + verse - rule[2] };
+
+        // The KJV verse with this number went elsewhere, or there is none (Daniel 3:31-90)
+        if (Versification.findRule(forward.get(`${book}.${chapter}`), verse)) return null;
+        const kjvCount = VERSIFICATIONS.kjv[book] ? VERSIFICATIONS.kjv[book][chapter - 1] : undefined;
+        if (kjvCount !== undefined && verse > kjvCount) return null;
+        return { book, chapter, verse };
+    }
+
+    static map(reference, fromScheme, toScheme) {
+        if (fromScheme === toScheme) return { ...reference };
+
+        const standard = fromScheme === 'kjv' ? reference : Versification.toStandard(reference, fromScheme);
+        if (!standard) return null;
+        return toScheme === 'kjv' ? { ...standard } : Versification.fromStandard(standard, toScheme);
+    }
+
+    // Like map(), but a verse without a counterpart (a Psalm title) takes the one after it
+    static mapNearest(reference, fromScheme, toScheme) {
+        for (let verse = reference.verse; verse < reference.verse + 3; verse++) {
+            const mapped = Versification.map({ ...reference, verse }, fromScheme, toScheme);
+            if (mapped) return mapped;
+        }
+        return { ...reference };
+    }
+
+    // Verses per chapter, keyed by book abbrev. Other schemes are derived from the KJV
+    // counts, so verses only one scheme has (Greek additions) are counted by position.
+    static verseCounts(scheme) {
+        Versification.counts = Versification.counts || new Map();
+        if (Versification.counts.has(scheme)) return Versification.counts.get(scheme);
+
+        const counts = {};
+        Object.entries(VERSIFICATIONS.kjv).forEach(([book, chapters]) => {
+            const verses = [];
+            chapters.forEach((count, index) => {
+                for (let verse = 1; verse <= count; verse++) {
+                    const mapped = Versification.fromStandard({ book, chapter: index + 1, verse }, scheme);
+                    verses[mapped.chapter - 1] = Math.max(verses[mapped.chapter - 1] || 0, mapped.verse);
+                }
+            });
+            counts[book] = Array.from(verses, count => count || 0);
+        });
+
+        Versification.counts.set(scheme, counts);
+        return counts;
+    }
+
+    // The scheme whose verse counts agree with the most chapters; KJV wins ties
+    static detect(books) {
+        let best = { scheme: 'kjv', score: -1 };
+
+        Versification.schemes().forEach(scheme => {
+            const counts = Versification.verseCounts(scheme);
+            let score = 0;
+
+            (books || []).forEach(book => {
+                const expected = book && counts[book.abbrev];
+                if (!expected || !Array.isArray(book.chapters)) return;
+                book.chapters.forEach((verses, index) => {
+                    if (Array.isArray(verses) && verses.length === expected[index]) score++;
+                });
+            });
+
+            if (score > best.score) best = { scheme, score };
+        });
+
+        return best.scheme;
+    }
+}
+
+// Also loaded by server.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { VERSIFICATIONS, VERSIFICATION_SCHEMES, Versification };
+}